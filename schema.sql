@@ -25,17 +25,31 @@ CREATE TABLE IF NOT EXISTS processing_history (
     original_filename TEXT NOT NULL,
     file_size INTEGER NOT NULL,
     plan_type TEXT NOT NULL,
-    status TEXT NOT NULL DEFAULT 'processing' CHECK(status IN ('processing', 'completed', 'failed')),
+    status TEXT NOT NULL DEFAULT 'processing' CHECK(status IN ('processing', 'review', 'completed', 'failed')),
 
     -- Processing results
     words_removed INTEGER DEFAULT 0,
     detected_languages TEXT, -- JSON array of detected languages
+    profanity_timestamps TEXT, -- JSON array of {word, start, end, severity, category, language, confidence, list[, listName]}, times in seconds
+    processing_options TEXT, -- JSON of per-request options (censor mode, ...)
+    clean_level TEXT, -- profile applied: kids, radio or light
+    review_segments TEXT, -- JSON of the flagged segments while the process is in review
+    detection_confidence TEXT, -- JSON {threshold, confident, uncertain: [...]}; uncertain detections are not muted
+    lyrics_alignment TEXT, -- JSON summary of uploaded lyrics vs transcript, with disagreements
+    duration_seconds REAL, -- upload length as reported by transcription
     processing_time_ms INTEGER,
 
+    -- Progress (stage is upload, transcription, detection, render or preview)
+    stage TEXT,
+    stage_progress INTEGER DEFAULT 0, -- percent within the stage
+    progress INTEGER DEFAULT 0, -- overall percent
+
     -- File paths
     upload_key TEXT,
     preview_key TEXT,
     cleaned_key TEXT,
+    transcript_key TEXT, -- JSON with the original and cleaned transcript, word by word
+    report_key TEXT, -- JSON compliance report: file hashes, settings and censored segments
 
     -- Timestamps
     created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
@@ -100,13 +114,46 @@ CREATE TABLE IF NOT EXISTS system_health (
     checked_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
 );
 
--- Profanity Lists Cache Table (for KV backup)
+-- Profanity Lists Cache Table: version and checksum of each KV list
 CREATE TABLE IF NOT EXISTS profanity_cache (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     language_code TEXT NOT NULL UNIQUE,
     word_count INTEGER NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1, -- bump to make every Worker isolate reload the list
     last_updated INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
-    checksum TEXT
+    checksum TEXT -- SHA-256 of the list and allowlist JSON; NULL forces a reload
+);
+
+-- Customer Word Lists Table (extra terms to censor or keep, per subscription)
+CREATE TABLE IF NOT EXISTS custom_word_lists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    list_id TEXT UNIQUE NOT NULL,
+    stripe_session_id TEXT NOT NULL,
+    stripe_customer_id TEXT, -- lists follow the customer across sessions
+    list_type TEXT NOT NULL CHECK(list_type IN ('block', 'allow')),
+    name TEXT NOT NULL,
+    words TEXT NOT NULL, -- JSON array in the KV list entry format
+    word_count INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    FOREIGN KEY (stripe_session_id) REFERENCES user_subscriptions(stripe_session_id)
+);
+
+-- Profanity List Audit Table (every admin change, with the list after it)
+CREATE TABLE IF NOT EXISTS profanity_list_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    language_code TEXT NOT NULL,
+    list_kind TEXT NOT NULL CHECK(list_kind IN ('list', 'allow')),
+    version INTEGER NOT NULL, -- profanity_cache version the change produced
+    action TEXT NOT NULL CHECK(action IN ('baseline', 'add', 'remove', 'import', 'replace', 'rollback')),
+    entries_added INTEGER DEFAULT 0,
+    entries_removed INTEGER DEFAULT 0,
+    word_count INTEGER NOT NULL,
+    snapshot TEXT NOT NULL, -- JSON of the whole list after the change
+    checksum TEXT,
+    actor TEXT, -- self-reported X-FWEA-Admin-User header, not verified (admins share one token)
+    note TEXT,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
 );
 
 -- Indexes for Performance
@@ -120,6 +167,11 @@ CREATE INDEX IF NOT EXISTS idx_processing_history_status ON processing_history(s
 CREATE INDEX IF NOT EXISTS idx_processing_history_session_id ON processing_history(stripe_session_id);
 CREATE INDEX IF NOT EXISTS idx_processing_history_created_at ON processing_history(created_at);
 
+CREATE INDEX IF NOT EXISTS idx_custom_word_lists_session_id ON custom_word_lists(stripe_session_id);
+CREATE INDEX IF NOT EXISTS idx_custom_word_lists_customer_id ON custom_word_lists(stripe_customer_id);
+
+CREATE INDEX IF NOT EXISTS idx_profanity_list_audit_language ON profanity_list_audit(language_code, list_kind, version);
+
 CREATE INDEX IF NOT EXISTS idx_payment_transactions_session_id ON payment_transactions(stripe_session_id);
 CREATE INDEX IF NOT EXISTS idx_payment_transactions_status ON payment_transactions(status);
 CREATE INDEX IF NOT EXISTS idx_payment_transactions_created_at ON payment_transactions(created_at);
@@ -178,6 +230,23 @@ GROUP BY DATE(created_at/1000, 'unixepoch'), plan_type;
 --     ('d1_database', 'healthy', 15),
 --     ('hetzner_server', 'healthy', 150);
 
+-- Upgrades for databases created from an earlier version of this schema
+-- ALTER TABLE processing_history ADD COLUMN profanity_timestamps TEXT;
+-- ALTER TABLE processing_history ADD COLUMN processing_options TEXT;
+-- ALTER TABLE processing_history ADD COLUMN stage TEXT;
+-- ALTER TABLE processing_history ADD COLUMN stage_progress INTEGER DEFAULT 0;
+-- ALTER TABLE processing_history ADD COLUMN progress INTEGER DEFAULT 0;
+-- ALTER TABLE processing_history ADD COLUMN clean_level TEXT;
+-- ALTER TABLE processing_history ADD COLUMN transcript_key TEXT;
+-- ALTER TABLE processing_history ADD COLUMN review_segments TEXT;
+-- ALTER TABLE processing_history ADD COLUMN lyrics_alignment TEXT;
+-- ALTER TABLE processing_history ADD COLUMN duration_seconds REAL;
+-- ALTER TABLE processing_history ADD COLUMN report_key TEXT;
+-- ALTER TABLE processing_history ADD COLUMN detection_confidence TEXT;
+-- The review status needs the status CHECK on processing_history widened, which
+-- SQLite only allows by rebuilding the table (create the new table, copy, rename)
+-- ALTER TABLE profanity_cache ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
 -- Clean up old records (run periodically)
 -- DELETE FROM usage_analytics WHERE created_at < strftime('%s', 'now', '-30 days') * 1000;
 -- DELETE FROM system_health WHERE checked_at < strftime('%s', 'now', '-7 days') * 1000;
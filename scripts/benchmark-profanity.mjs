@@ -0,0 +1,177 @@
+/**
+ * Benchmark: compiled profanity matcher vs the original per-word scan
+ *
+ * Usage: node scripts/benchmark-profanity.mjs [--words 4000] [--entries 400] [--seed 42]
+ *
+ * Builds ten synthetic language lists and a long synthetic transcript (list
+ * words, near misses, words containing list entries and filler) and reports
+ * timings. The original flagged substrings and near misses of every entry,
+ * while entries now carry a match rule, so the check is that everything the
+ * compiled matcher flags was also flagged by the original.
+ */
+
+import { performance } from 'node:perf_hooks';
+import { MATCH_RULES, compileProfanityMatcher, findProfanityInText } from '../src/profanity.mjs';
+
+const LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'zh', 'ja', 'ko'];
+const NON_LATIN = {
+  ru: 'абвгдежзиклмнопрстуфхцчшщыэюя',
+  zh: '的一是不了人我在有他这中大来上个国到说们为子和你地出道也时年',
+  ja: 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめも',
+  ko: '가나다라마바사아자차카타파하거너더러머버서어저처'
+};
+
+function parseArgs(argv) {
+  const options = { words: 4000, entries: 400, seed: 42 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    options[key] = parseInt(argv[i + 1], 10);
+  }
+  return options;
+}
+
+// Small deterministic PRNG (mulberry32) so runs are comparable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomWord(random, alphabet, minLength, maxLength) {
+  const length = minLength + Math.floor(random() * (maxLength - minLength + 1));
+  let word = '';
+  for (let i = 0; i < length; i++) {
+    word += alphabet[Math.floor(random() * alphabet.length)];
+  }
+  return word;
+}
+
+function buildLists(random, entriesPerList) {
+  const lists = {};
+  for (const lang of LANGUAGES) {
+    const alphabet = NON_LATIN[lang] || 'abcdefghijklmnopqrstuvwxyz';
+    const [minLength, maxLength] = NON_LATIN[lang] && lang !== 'ru' ? [2, 3] : [4, 9];
+    lists[lang] = Array.from({ length: entriesPerList }, () => randomWord(random, alphabet, minLength, maxLength));
+  }
+  return lists;
+}
+
+function buildTranscript(random, wordCount, latinEntries) {
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const words = [];
+
+  for (let i = 0; i < wordCount; i++) {
+    const roll = random();
+    let word;
+    if (roll < 0.02) {
+      word = pick(latinEntries); // exact hit
+    } else if (roll < 0.04) {
+      const entry = pick(latinEntries); // one substitution away
+      const at = Math.floor(random() * entry.length);
+      word = entry.slice(0, at) + 'q' + entry.slice(at + 1);
+    } else if (roll < 0.05) {
+      word = `${randomWord(random, 'abcdefghijklmnopqrstuvwxyz', 2, 4)}${pick(latinEntries)}`; // compound
+    } else {
+      word = randomWord(random, 'abcdefghijklmnopqrstuvwxyz', 2, 10);
+    }
+    if (random() < 0.1) word = word[0].toUpperCase() + word.slice(1) + ',';
+
+    words.push({ word, start: i * 0.3, end: i * 0.3 + 0.25 });
+  }
+
+  return words;
+}
+
+// The implementation this benchmark replaces: every word against every entry
+function legacyFindProfanityInText(timedWords, profanityWords) {
+  const matches = [];
+
+  timedWords.forEach((timedWord, index) => {
+    const cleanWord = timedWord.word.toLowerCase().replace(/[^a-zA-Z0-9]/g, '');
+    if (!cleanWord) return;
+
+    if (profanityWords.some(profane =>
+      cleanWord.includes(profane.toLowerCase()) ||
+      legacyLevenshteinDistance(cleanWord, profane.toLowerCase()) <= 1
+    )) {
+      matches.push({
+        word: cleanWord,
+        position: index,
+        start: timedWord.start,
+        end: timedWord.end
+      });
+    }
+  });
+
+  return matches;
+}
+
+function legacyLevenshteinDistance(str1, str2) {
+  const matrix = [];
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i];
+  }
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j;
+  }
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+  return matrix[str2.length][str1.length];
+}
+
+function time(fn) {
+  const started = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - started };
+}
+
+const options = parseArgs(process.argv.slice(2));
+const random = createRandom(options.seed);
+const lists = buildLists(random, options.entries);
+const latinEntries = LANGUAGES.filter(lang => !NON_LATIN[lang]).flatMap(lang => lists[lang]);
+const transcript = buildTranscript(random, options.words, latinEntries);
+
+console.log(`Transcript: ${transcript.length} words, lists: ${LANGUAGES.length} x ${options.entries} entries`);
+
+const legacy = time(() => LANGUAGES.flatMap(lang => legacyFindProfanityInText(transcript, lists[lang])));
+
+// Spread the match rules over the same entries
+const ruledLists = Object.fromEntries(LANGUAGES.map(lang => [
+  lang,
+  lists[lang].map((word, index) => ({ word, match: MATCH_RULES[index % MATCH_RULES.length] }))
+]));
+
+const compile = time(() => Object.fromEntries(LANGUAGES.map(lang => [lang, compileProfanityMatcher(ruledLists[lang])])));
+const compiled = time(() => LANGUAGES.flatMap(lang => findProfanityInText(transcript, compile.result[lang])));
+
+const legacyPositions = new Set(legacy.result.map(match => match.position));
+const extra = compiled.result.filter(match => !legacyPositions.has(match.position));
+
+console.log(`Legacy scan:      ${legacy.ms.toFixed(1)} ms (${legacy.result.length} matches)`);
+console.log(`Compile matchers: ${compile.ms.toFixed(1)} ms (once per list change)`);
+console.log(`Compiled scan:    ${compiled.ms.toFixed(1)} ms (${compiled.result.length} matches)`);
+console.log(`Speed-up:         ${(legacy.ms / compiled.ms).toFixed(1)}x per scan`);
+console.log(`Subset of legacy: ${extra.length === 0 ? 'yes' : `NO (${extra.length} extra matches)`}`);
+
+if (extra.length > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+/**
+ * Regression corpus for the profanity lists in lists/
+ *
+ * Usage: node scripts/check-profanity-corpus.mjs
+ *
+ * Compiles each language's list and allowlist the way the Worker does and
+ * checks every "clean" corpus word passes, every "flagged" word is caught,
+ * "phrases" match as whole phrases, and each clean level in "levels" mutes
+ * and keeps the words it should.
+ * Exits non-zero on any miss, so list edits can be checked before they go to KV.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import {
+  FOLD_DIACRITICS_LANGUAGES,
+  compileProfanityMatcher,
+  filterMatchesByCleanLevel,
+  findProfanityInText
+} from '../src/profanity.mjs';
+
+const root = new URL('../', import.meta.url);
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, root), 'utf8'));
+
+const corpus = readJson('scripts/profanity-corpus.json');
+let failures = 0;
+
+for (const [lang, { clean = [], flagged = [], phrases = [], levels = {} }] of Object.entries(corpus)) {
+  const allowPath = `lists/${lang}.allow.json`;
+  const matcher = compileProfanityMatcher(
+    readJson(`lists/${lang}.json`),
+    existsSync(new URL(allowPath, root)) ? readJson(allowPath) : [],
+    { foldDiacritics: FOLD_DIACRITICS_LANGUAGES.includes(lang) }
+  );
+  const check = (text, cleanLevel) => filterMatchesByCleanLevel(
+    findProfanityInText([{ word: text, start: 0, end: 1 }], matcher),
+    cleanLevel
+  )[0];
+
+  const problems = [];
+  for (const word of clean) {
+    const hit = check(word);
+    if (hit) problems.push(`clean word "${word}" flagged by "${hit.entry}" (${hit.rule})`);
+  }
+  for (const word of flagged) {
+    if (!check(word)) problems.push(`"${word}" not flagged`);
+  }
+  // Phrases must be caught as a unit, not through one of their words
+  for (const phrase of phrases) {
+    const hit = check(phrase);
+    if (!hit || !hit.entry.includes(' ')) problems.push(`phrase "${phrase}" not matched as a phrase`);
+  }
+  for (const [cleanLevel, { muted = [], kept = [] }] of Object.entries(levels)) {
+    for (const word of muted) {
+      if (!check(word, cleanLevel)) problems.push(`"${word}" not muted at the ${cleanLevel} level`);
+    }
+    for (const word of kept) {
+      const hit = check(word, cleanLevel);
+      if (hit) problems.push(`"${word}" muted at the ${cleanLevel} level (${hit.severity} ${hit.category})`);
+    }
+  }
+
+  for (const problem of problems) {
+    console.log(`  ${lang}: ${problem}`);
+  }
+
+  failures += problems.length;
+  console.log(`${lang}: ${clean.length} clean, ${flagged.length} flagged, ${phrases.length} phrases, ${problems.length} failures`);
+}
+
+if (failures > 0) {
+  console.log(`${failures} corpus failures`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,57 @@
+/**
+ * Checks for the censor segment files in src/segments.mjs
+ *
+ * Usage: node scripts/check-segments.mjs
+ *
+ * Writes segments in every format and reads them back, and checks CSV and
+ * Reaper exports cannot carry a spreadsheet formula: a word or list name
+ * starting with =, +, - or @ is written as text and read back unchanged.
+ * Exits non-zero on any failure.
+ */
+
+import { formatSegments, parseSegments } from '../src/segments.mjs';
+
+const segments = [
+  { word: 'fuck', start: 1.25, end: 1.6, severity: 'strong', category: 'profanity', list: 'global:en' },
+  { word: '=HYPERLINK("http://example.com","x")', start: 2, end: 2.5, list: '+custom' },
+  { word: '-shit, "quoted"', start: 3, end: 3.4, list: '@list' },
+  { word: '\t=1+1', start: 4, end: 4.5 }
+];
+const problems = [];
+
+for (const format of ['edl', 'csv', 'audacity', 'reaper']) {
+  const { segments: read, errors } = parseSegments(formatSegments(segments, format), format);
+  if (errors.length > 0) problems.push(`${format}: ${errors.join('; ')}`);
+  if (read.length !== segments.length) problems.push(`${format}: read ${read.length} of ${segments.length} segments`);
+
+  read.forEach((segment, index) => {
+    // An EDL keeps whole frames only
+    const tolerance = format === 'edl' ? 1 / 30 : 0.001;
+    if (Math.abs(segment.start - segments[index].start) > tolerance || Math.abs(segment.end - segments[index].end) > tolerance) {
+      problems.push(`${format}: segment ${index + 1} times ${segment.start}-${segment.end}`);
+    }
+    // Audacity labels and EDL comments are not spreadsheets; tabs are spaced out there
+    if (['csv', 'reaper'].includes(format) && segment.word !== segments[index].word.trim()) {
+      problems.push(`${format}: segment ${index + 1} word ${JSON.stringify(segment.word)}`);
+    }
+  });
+}
+
+for (const format of ['csv', 'reaper']) {
+  const cells = formatSegments(segments, format)
+    .split('\n')
+    .slice(1)
+    .flatMap(line => line.split(','))
+    .map(cell => cell.replace(/^"/, ''));
+  const formula = cells.find(cell => /^[=+\-@\t\r]/.test(cell));
+  if (formula) problems.push(`${format}: cell ${JSON.stringify(formula)} would run as a formula`);
+}
+
+for (const problem of problems) {
+  console.log(`  ${problem}`);
+}
+console.log(`segments: ${problems.length} failures`);
+
+if (problems.length > 0) {
+  process.exitCode = 1;
+}
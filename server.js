@@ -25,17 +25,115 @@ const CONFIG = {
     PROCESSED_PATH: './processed',
     TEMP_PATH: './temp',
     SUPPORTED_FORMATS: ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg'],
+    CENSOR_PADDING: 0.1, // seconds added around word-timed segments
+    // Per-plan encoding limits: lossy bitrate, default/max sample rate, the
+    // output formats and lossless bit depths the plan may request, and the
+    // default and allowed mastering presets
     QUALITY_SETTINGS: {
-        single_track: { bitrate: '256k', sample: '44100' },
-        dj_pro: { bitrate: '320k', sample: '44100' },
-        studio_elite: { bitrate: '320k', sample: '48000' },
-        day_pass: { bitrate: '256k', sample: '44100' }
+        single_track: {
+            bitrate: '256k', sample: '44100', maxSampleRate: 48000,
+            formats: ['mp3', 'm4a', 'aac', 'ogg'], bitDepths: [16],
+            masteringPreset: 'classic', masteringPresets: ['bypass', 'classic', 'streaming']
+        },
+        dj_pro: {
+            bitrate: '320k', sample: '44100', maxSampleRate: 48000,
+            formats: ['mp3', 'm4a', 'aac', 'ogg', 'wav', 'flac'], bitDepths: [16, 24],
+            masteringPreset: 'classic', masteringPresets: ['bypass', 'classic', 'streaming', 'broadcast']
+        },
+        studio_elite: {
+            bitrate: '320k', sample: '48000', maxSampleRate: 96000,
+            formats: ['mp3', 'm4a', 'aac', 'ogg', 'wav', 'flac'], bitDepths: [16, 24, 32],
+            masteringPreset: 'classic', masteringPresets: ['bypass', 'classic', 'streaming', 'broadcast']
+        },
+        day_pass: {
+            bitrate: '256k', sample: '44100', maxSampleRate: 48000,
+            formats: ['mp3', 'm4a', 'aac', 'ogg'], bitDepths: [16],
+            masteringPreset: 'classic', masteringPresets: ['bypass', 'classic', 'streaming']
+        }
     },
+    SAMPLE_RATES: [22050, 32000, 44100, 48000, 88200, 96000],
     PREVIEW_LENGTHS: {
         single_track: 30,
         dj_pro: 30,
         studio_elite: 60,
         day_pass: 30
+    },
+    PREVIEW_FADE_SECONDS: 2,
+    // Censor modes with their default parameters
+    CENSOR_MODES: {
+        mute: {},
+        bleep: { frequency: 1000, volume: 0.5 },
+        reverse: {},
+        vocal_dip: { depth: 24, lowFrequency: 300, highFrequency: 3400 },
+        vocal_remove: { amount: 1.0, lowFrequency: 120, highFrequency: 8000, ramp: 0.05 },
+        sound_effect: { volume: 1.0 }
+    },
+    // Enhancement chain applied after censoring. loudnorm targets are EBU R128
+    // integrated loudness (LUFS), true peak (dBTP) and loudness range (LU).
+    MASTERING_PRESETS: {
+        bypass: { highpass: null, compression: null, loudnorm: null },
+        classic: { highpass: 80, compression: 'classic', loudnorm: null },
+        streaming: { highpass: null, compression: null, loudnorm: { targetLufs: -14, truePeak: -1, lra: 11 } },
+        broadcast: { highpass: 40, compression: 'gentle', loudnorm: { targetLufs: -23, truePeak: -1, lra: 7 } }
+    },
+    COMPRESSION_CURVES: {
+        classic: {
+            filter: 'compand',
+            options: 'attacks=0.3:decays=0.8:points=-80/-169|-54/-80|-49.5/-64.6|-41.1/-41.1|-25.8/-15|-10.8/-4.5|0/0|20/8.3'
+        },
+        gentle: {
+            filter: 'acompressor',
+            options: 'threshold=0.125:ratio=2:attack=20:release=250' // -18dB threshold
+        }
+    },
+    // Keyed by file extension. Lossless formats pick their codec or sample
+    // format from the requested bit depth.
+    OUTPUT_FORMATS: {
+        mp3: {
+            codec: 'libmp3lame', container: 'mp3', contentType: 'audio/mpeg', lossless: false, maxSampleRate: 48000,
+            metadata: 'id3', artwork: true
+        },
+        wav: {
+            codec: 'pcm_s16le', container: 'wav', contentType: 'audio/wav', lossless: true,
+            codecs: { 16: 'pcm_s16le', 24: 'pcm_s24le', 32: 'pcm_f32le' },
+            metadata: 'riff', artwork: false
+        },
+        flac: {
+            codec: 'flac', container: 'flac', contentType: 'audio/flac', lossless: true,
+            sampleFormats: { 16: 's16', 24: 's32' },
+            metadata: 'vorbis', artwork: true
+        },
+        m4a: { codec: 'aac', container: 'ipod', contentType: 'audio/mp4', lossless: false, metadata: 'mp4', artwork: true },
+        aac: { codec: 'aac', container: 'adts', contentType: 'audio/aac', lossless: false, metadata: 'id3', artwork: false },
+        ogg: { codec: 'libvorbis', container: 'ogg', contentType: 'audio/ogg', lossless: false, metadata: 'vorbis', artwork: false }
+    },
+    // Tags carried from the upload to the cleaned file (ffmpeg generic names)
+    CARRIED_TAGS: ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'track', 'disc', 'composer', 'publisher', 'copyright'],
+    CLEAN_TITLE_SUFFIX: ' (Clean)',
+    // Render jobs: how many run at once, how many may wait, how many one client
+    // may have queued or running, and how long finished jobs stay queryable
+    JOB_QUEUE: {
+        concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || Math.max(1, require('os').cpus().length - 1),
+        maxQueued: parseInt(process.env.JOB_MAX_QUEUED, 10) || 50,
+        maxPerClient: parseInt(process.env.JOB_MAX_PER_CLIENT, 10) || 3,
+        retainFinishedMs: 4 * 60 * 60 * 1000 // 4 hours, same as file cleanup
+    },
+    // Overall percent range of each processing stage. Shared with the Worker,
+    // which runs upload/transcription/detection; the encoder covers the rest.
+    PROGRESS_STAGES: {
+        upload: [0, 10],
+        transcription: [10, 40],
+        detection: [40, 50],
+        render: [50, 90],
+        preview: [90, 100]
+    },
+    PROGRESS_HEARTBEAT_MS: 15000,
+    // Higher runs first; jobs of the same priority run in arrival order
+    PLAN_PRIORITY: {
+        studio_elite: 3,
+        dj_pro: 2,
+        day_pass: 1,
+        single_track: 0
     }
 };
 
@@ -53,7 +151,9 @@ app.use(cors({
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests, please try again later.'
+    message: 'Too many requests, please try again later.',
+    // Job status is polled while a render runs
+    skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/')
 });
 app.use('/api/', limiter);
 
@@ -121,76 +221,433 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
-        loadAverage: require('os').loadavg()
+        loadAverage: require('os').loadavg(),
+        jobs: {
+            running: runningJobs,
+            queued: jobQueue.length,
+            concurrency: CONFIG.JOB_QUEUE.concurrency,
+            maxQueued: CONFIG.JOB_QUEUE.maxQueued
+        }
     });
 });
 
+// Job queue. Uploads are accepted straight away and rendered by a bounded pool
+// of CONFIG.JOB_QUEUE.concurrency workers, highest plan priority first.
+// Jobs live in memory: a restart drops anything queued or running.
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+function enqueueJob({ id, clientId, planType, uploadedFiles, outputFiles, run }) {
+    const job = {
+        id,
+        clientId,
+        planType,
+        priority: CONFIG.PLAN_PRIORITY[planType] || 0,
+        status: 'queued',
+        stage: 'render',
+        stageProgress: 0,
+        progress: CONFIG.PROGRESS_STAGES.render[0],
+        listeners: new Set(),
+        uploadedFiles,
+        outputFiles,
+        run,
+        commands: new Set(),
+        result: null,
+        error: null,
+        createdAt: Date.now(),
+        startedAt: null,
+        completedAt: null
+    };
+
+    // Behind every job of the same or higher priority
+    const index = jobQueue.findIndex(queued => queued.priority < job.priority);
+    jobQueue.splice(index === -1 ? jobQueue.length : index, 0, job);
+    jobs.set(job.id, job);
+
+    console.log(`Job ${job.id} queued (${planType}, priority ${job.priority}, ${jobQueue.length} waiting)`);
+    drainJobQueue();
+    return job;
+}
+
+function drainJobQueue() {
+    while (runningJobs < CONFIG.JOB_QUEUE.concurrency && jobQueue.length > 0) {
+        const job = jobQueue.shift();
+        runningJobs++;
+        runJob(job).finally(() => {
+            runningJobs--;
+            drainJobQueue();
+        });
+    }
+}
+
+async function runJob(job) {
+    job.status = 'processing';
+    job.startedAt = Date.now();
+    publishJobProgress(job);
+
+    try {
+        const result = await job.run(job);
+        if (job.status === 'processing') {
+            job.status = 'completed';
+            job.result = result;
+        }
+    } catch (error) {
+        if (job.status === 'processing') {
+            console.error(`Audio processing failed: ${job.id}`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+    } finally {
+        job.completedAt = job.completedAt || Date.now();
+        job.commands.clear();
+        if (job.status === 'completed') {
+            setJobProgress(job, 'preview', 100);
+        }
+        publishJobProgress(job);
+        await finishJob(job);
+    }
+}
+
+async function cancelJob(job) {
+    const wasQueued = job.status === 'queued';
+    job.status = 'cancelled';
+    job.completedAt = Date.now();
+    console.log(`Job ${job.id} cancelled`);
+
+    if (wasQueued) {
+        jobQueue.splice(jobQueue.indexOf(job), 1);
+        publishJobProgress(job);
+        await finishJob(job);
+        return;
+    }
+
+    // runJob tidies up once the killed command rejects
+    for (const command of job.commands) {
+        command.kill('SIGKILL');
+    }
+}
+
+// Remove the uploads (and the outputs of jobs that did not complete), then
+// forget the job once it has been queryable for a while
+async function finishJob(job) {
+    const files = job.status === 'completed' ? job.uploadedFiles : [...job.uploadedFiles, ...job.outputFiles];
+    await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+
+    setTimeout(() => jobs.delete(job.id), CONFIG.JOB_QUEUE.retainFinishedMs).unref();
+}
+
+// Register a job's ffmpeg command so cancelling the job can kill it
+function trackJobCommand(job, command) {
+    if (!job) {
+        return command;
+    }
+    if (job.status !== 'processing') {
+        throw new Error(`Job ${job.status}`);
+    }
+
+    job.commands.add(command);
+    const release = () => job.commands.delete(command);
+    return command
+        // kill() is a no-op until ffmpeg has spawned, so a cancel that lands
+        // in between is applied as soon as the process exists
+        .on('start', () => {
+            if (job.status !== 'processing') {
+                command.kill('SIGKILL');
+            }
+        })
+        .on('end', release)
+        .on('error', release);
+}
+
+// Record progress within a stage (0-100) and tell any listeners when the
+// overall percent moves
+function setJobProgress(job, stage, stageProgress) {
+    const [from, to] = CONFIG.PROGRESS_STAGES[stage];
+    const clamped = Math.min(100, Math.max(0, stageProgress || 0));
+    const progress = Math.round(from + (to - from) * clamped / 100);
+    const changed = job.stage !== stage || progress !== job.progress;
+
+    job.stage = stage;
+    job.stageProgress = Math.round(clamped);
+    job.progress = progress;
+
+    if (changed) {
+        publishJobProgress(job);
+    }
+}
+
+// Push the job's state to its SSE listeners; the streams end with the job
+function publishJobProgress(job) {
+    const finished = job.status !== 'queued' && job.status !== 'processing';
+    const message = `event: progress\ndata: ${JSON.stringify(describeJob(job))}\n\n`;
+
+    for (const listener of job.listeners) {
+        listener.write(message);
+        if (finished) {
+            listener.end();
+        }
+    }
+    if (finished) {
+        job.listeners.clear();
+    }
+}
+
+function getQueuePosition(job) {
+    const index = jobQueue.indexOf(job);
+    return index === -1 ? null : index + 1;
+}
+
+function describeJob(job) {
+    return {
+        jobId: job.id,
+        processId: job.id,
+        status: job.status,
+        stage: job.stage,
+        stageProgress: job.stageProgress,
+        progress: job.progress,
+        planType: job.planType,
+        priority: job.priority,
+        position: getQueuePosition(job),
+        createdAt: new Date(job.createdAt).toISOString(),
+        startedAt: job.startedAt && new Date(job.startedAt).toISOString(),
+        completedAt: job.completedAt && new Date(job.completedAt).toISOString(),
+        error: job.error,
+        result: job.result
+    };
+}
+
 // Audio processing endpoint
-app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
+const processUpload = upload.fields([
+    { name: 'audio', maxCount: 1 },
+    { name: 'censorSound', maxCount: 1 }
+]);
+
+app.post('/api/process-audio', processUpload, async (req, res) => {
     const processId = crypto.randomUUID();
+    const audioFile = req.files && req.files.audio && req.files.audio[0];
+    const censorSoundFile = req.files && req.files.censorSound && req.files.censorSound[0];
+    const uploadedFiles = [audioFile, censorSoundFile].filter(Boolean).map(file => file.path);
+
+    // Rejected requests leave nothing behind in the upload directory
+    const reject = async (status, body) => {
+        await Promise.all(uploadedFiles.map(file => fs.unlink(file).catch(() => {})));
+        return res.status(status).json(body);
+    };
+
+    if (!audioFile) {
+        return reject(400, { error: 'No audio file provided' });
+    }
+
+    const { planType = 'single_track', profanityTimestamps = '[]', processReference = processId } = req.body;
+    const clientId = req.body.clientId || req.ip;
 
+    let timestamps;
+    let censor;
+    let output;
+    let mastering;
     try {
-        console.log(`Starting audio processing: ${processId}`);
+        timestamps = JSON.parse(profanityTimestamps);
+        censor = parseCensorSettings(req.body, censorSoundFile);
 
-        if (!req.file) {
-            return res.status(400).json({ error: 'No audio file provided' });
+        const qualitySettings = CONFIG.QUALITY_SETTINGS[planType] || CONFIG.QUALITY_SETTINGS.single_track;
+        const inputExtension = path.extname(audioFile.originalname).toLowerCase().substring(1);
+        output = parseOutputSettings(req.body, inputExtension, qualitySettings);
+        mastering = parseMasteringSettings(req.body, qualitySettings);
+    } catch (validationError) {
+        return reject(400, { error: validationError.message });
+    }
+
+    // Admission limits, checked before anything is queued
+    const activeForClient = [...jobs.values()]
+        .filter(job => job.clientId === clientId && (job.status === 'queued' || job.status === 'processing'))
+        .length;
+    if (activeForClient >= CONFIG.JOB_QUEUE.maxPerClient) {
+        return reject(429, {
+            error: 'Too many concurrent jobs',
+            details: `At most ${CONFIG.JOB_QUEUE.maxPerClient} jobs per client may be queued or processing`
+        });
+    }
+    if (jobQueue.length >= CONFIG.JOB_QUEUE.maxQueued) {
+        res.setHeader('Retry-After', '60');
+        return reject(503, {
+            error: 'Encoder queue is full',
+            details: `${jobQueue.length} jobs waiting, try again later`
+        });
+    }
+
+    const job = enqueueJob({
+        id: processId,
+        clientId,
+        planType,
+        uploadedFiles,
+        outputFiles: [
+            path.join(CONFIG.PROCESSED_PATH, `cleaned_${processId}.${output.format}`),
+            path.join(CONFIG.PROCESSED_PATH, `preview_${processId}.${output.format}`)
+        ],
+        run: (job) => renderJob(job, audioFile.path, timestamps, censor, output, mastering, processReference)
+    });
+
+    res.status(202).json({
+        success: true,
+        processId,
+        jobId: job.id,
+        status: job.status,
+        priority: job.priority,
+        position: getQueuePosition(job)
+    });
+});
+
+// Job status: queue position while waiting, the render result once completed
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(describeJob(job));
+});
+
+// Job progress as Server-Sent Events: the current state straight away, then an
+// event whenever the stage or percent changes, closing once the job finishes
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`event: progress\ndata: ${JSON.stringify(describeJob(job))}\n\n`);
+
+    if (job.status !== 'queued' && job.status !== 'processing') {
+        return res.end();
+    }
+
+    job.listeners.add(res);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), CONFIG.PROGRESS_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        job.listeners.delete(res);
+    });
+});
+
+// Cancel a job: queued jobs are dropped, running ffmpeg processes are killed
+app.delete('/api/jobs/:jobId', async (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'queued' && job.status !== 'processing') {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+
+    await cancelJob(job);
+    res.json(describeJob(job));
+});
+
+// Render one job: the cleaned file, its preview and the output's stream info
+async function renderJob(job, inputPath, timestamps, censor, output, mastering, processReference) {
+    const qualitySettings = CONFIG.QUALITY_SETTINGS[job.planType] || CONFIG.QUALITY_SETTINGS.single_track;
+    const previewLength = CONFIG.PREVIEW_LENGTHS[job.planType] || 30;
+    const [outputPath, previewPath] = job.outputFiles;
+
+    console.log(`Starting audio processing: ${job.id}`);
+
+    // Process main audio file
+    const processResult = await processAudioFile(
+        inputPath,
+        outputPath,
+        timestamps,
+        qualitySettings,
+        censor,
+        output,
+        mastering,
+        processReference,
+        job
+    );
+
+    // Generate preview
+    await generatePreview(
+        outputPath,
+        previewPath,
+        previewLength,
+        qualitySettings,
+        output.format,
+        job
+    );
+
+    // Get file information
+    const audioInfo = await getAudioInfo(outputPath);
+    audioInfo.mastering = mastering;
+    audioInfo.loudness = processResult.loudness;
+    audioInfo.tags = processResult.tags;
+    audioInfo.artwork = processResult.artwork;
+
+    console.log(`Audio processing completed: ${job.id}`);
+
+    return {
+        processId: job.id,
+        files: {
+            cleaned: outputPath,
+            preview: previewPath
+        },
+        audioInfo,
+        output: {
+            format: output.format,
+            extension: output.format,
+            contentType: CONFIG.OUTPUT_FORMATS[output.format].contentType,
+            sampleRate: output.sampleRate,
+            bitDepth: output.bitDepth
+        },
+        processing: {
+            segmentsCleaned: timestamps.length,
+            censorMode: censor.mode,
+            qualityEnhanced: mastering.preset !== 'bypass',
+            formatOptimized: true
         }
+    };
+}
 
-        const { planType = 'single_track', profanityTimestamps = '[]' } = req.body;
-        const timestamps = JSON.parse(profanityTimestamps);
+// Preview endpoint: trims and fades the first N seconds, keeping the input container
+app.post('/api/preview', upload.single('audio'), async (req, res) => {
+    const previewId = crypto.randomUUID();
 
-        const inputPath = req.file.path;
-        const outputPath = path.join(CONFIG.PROCESSED_PATH, `cleaned_${processId}.mp3`);
-        const previewPath = path.join(CONFIG.PROCESSED_PATH, `preview_${processId}.mp3`);
+    if (!req.file) {
+        return res.status(400).json({ error: 'No audio file provided' });
+    }
 
-        // Get quality settings for plan
+    const inputPath = req.file.path;
+    const extension = path.extname(req.file.originalname).toLowerCase().substring(1);
+    const outputPath = path.join(CONFIG.TEMP_PATH, `preview_${previewId}.${extension}`);
+
+    const { planType = 'single_track' } = req.body;
+    const maxDuration = CONFIG.PREVIEW_LENGTHS[planType] || 30;
+    const duration = req.body.duration === undefined || req.body.duration === '' ? maxDuration : Number(req.body.duration);
+    if (!(duration > 0 && duration <= maxDuration)) {
+        await fs.unlink(inputPath).catch(() => {});
+        return res.status(400).json({ error: `Preview duration must be more than 0 and at most ${maxDuration} seconds` });
+    }
+
+    try {
         const qualitySettings = CONFIG.QUALITY_SETTINGS[planType] || CONFIG.QUALITY_SETTINGS.single_track;
-        const previewLength = CONFIG.PREVIEW_LENGTHS[planType] || 30;
-
-        // Process main audio file
-        const mainAudioBuffer = await processAudioFile(
-            inputPath, 
-            outputPath, 
-            timestamps, 
-            qualitySettings
-        );
-
-        // Generate preview
-        const previewBuffer = await generatePreview(
-            outputPath,
-            previewPath,
-            previewLength,
-            qualitySettings
-        );
-
-        // Get file information
-        const audioInfo = await getAudioInfo(outputPath);
-
-        // Clean up upload file
-        await fs.unlink(inputPath);
-
-        console.log(`Audio processing completed: ${processId}`);
-
-        res.json({
-            success: true,
-            processId,
-            files: {
-                cleaned: outputPath,
-                preview: previewPath
-            },
-            audioInfo,
-            processing: {
-                segmentsCleaned: timestamps.length,
-                qualityEnhanced: true,
-                formatOptimized: true
-            }
+
+        await generatePreview(inputPath, outputPath, duration, qualitySettings, extension);
+
+        res.setHeader('Content-Type', CONFIG.OUTPUT_FORMATS[extension].contentType);
+        res.sendFile(path.resolve(outputPath), async () => {
+            await Promise.all([inputPath, outputPath].map(file => fs.unlink(file).catch(() => {})));
         });
 
     } catch (error) {
-        console.error(`Audio processing failed: ${processId}`, error);
+        console.error(`Preview generation failed: ${previewId}`, error);
+        await Promise.all([inputPath, outputPath].map(file => fs.unlink(file).catch(() => {})));
         res.status(500).json({
-            error: 'Audio processing failed',
-            processId,
+            error: 'Preview generation failed',
             details: error.message
         });
     }
@@ -200,18 +657,25 @@ app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
 app.get('/api/download/:processId/:type', async (req, res) => {
     try {
         const { processId, type } = req.params;
-        const filename = type === 'preview' ? `preview_${processId}.mp3` : `cleaned_${processId}.mp3`;
-        const filePath = path.join(CONFIG.PROCESSED_PATH, filename);
 
-        // Check if file exists
-        try {
-            await fs.access(filePath);
-        } catch (error) {
+        // Outputs are written in place, so only hand them out once the job is done
+        const job = jobs.get(processId);
+        if (job && job.status !== 'completed') {
+            return res.status(409).json({ error: `Job ${job.status}` });
+        }
+
+        const prefix = type === 'preview' ? `preview_${processId}.` : `cleaned_${processId}.`;
+
+        // Output files are named <type>_<processId>.<format>
+        const filename = (await fs.readdir(CONFIG.PROCESSED_PATH)).find(file => file.startsWith(prefix));
+        if (!filename) {
             return res.status(404).json({ error: 'File not found' });
         }
+        const filePath = path.join(CONFIG.PROCESSED_PATH, filename);
+        const format = CONFIG.OUTPUT_FORMATS[path.extname(filename).substring(1)];
 
         // Set appropriate headers
-        res.setHeader('Content-Type', 'audio/mpeg');
+        res.setHeader('Content-Type', format ? format.contentType : 'application/octet-stream');
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
         // Stream file
@@ -241,61 +705,536 @@ app.get('/api/download/:processId/:type', async (req, res) => {
     }
 });
 
-// Audio processing function
-async function processAudioFile(inputPath, outputPath, profanityTimestamps, qualitySettings) {
-    return new Promise((resolve, reject) => {
-        console.log(`Processing audio: ${inputPath} -> ${outputPath}`);
+// Validate the outputFormat/sampleRate/bitDepth request fields against the plan.
+// outputFormat 'keep' renders in the same format as the upload.
+function parseOutputSettings(body, inputExtension, qualitySettings) {
+    const requested = (body.outputFormat || 'mp3').toLowerCase();
+    const format = requested === 'keep' ? inputExtension : requested;
+    const formatSettings = CONFIG.OUTPUT_FORMATS[format];
 
-        let ffmpegCommand = ffmpeg(inputPath)
-            .audioBitrate(qualitySettings.bitrate)
-            .audioFrequency(qualitySettings.sample)
-            .audioCodec('libmp3lame')
-            .format('mp3');
+    if (!formatSettings) {
+        throw new Error(`Unsupported output format: ${format}. Supported: keep, ${Object.keys(CONFIG.OUTPUT_FORMATS).join(', ')}`);
+    }
+    if (!qualitySettings.formats.includes(format)) {
+        throw new Error(`Output format ${format} is not available on this plan`);
+    }
 
-        // Apply profanity filtering (mute segments)
-        if (profanityTimestamps.length > 0) {
-            console.log(`Applying ${profanityTimestamps.length} profanity filters`);
+    const sampleRate = parseInt(body.sampleRate || qualitySettings.sample, 10);
+    if (!CONFIG.SAMPLE_RATES.includes(sampleRate)) {
+        throw new Error(`Unsupported sample rate: ${body.sampleRate}. Supported: ${CONFIG.SAMPLE_RATES.join(', ')}`);
+    }
+    if (sampleRate > qualitySettings.maxSampleRate) {
+        throw new Error(`Sample rate ${sampleRate} exceeds the plan maximum of ${qualitySettings.maxSampleRate}`);
+    }
+    if (formatSettings.maxSampleRate && sampleRate > formatSettings.maxSampleRate) {
+        throw new Error(`${format} supports sample rates up to ${formatSettings.maxSampleRate}`);
+    }
 
-            // Build complex filter for muting profanity segments
-            let filters = [];
-            let currentInput = '[0:a]';
+    let bitDepth = null;
+    if (formatSettings.lossless) {
+        bitDepth = parseInt(body.bitDepth || 16, 10);
+        const formatDepths = Object.keys(formatSettings.codecs || formatSettings.sampleFormats).map(Number);
+        if (!formatDepths.includes(bitDepth)) {
+            throw new Error(`${format} supports bit depths: ${formatDepths.join(', ')}`);
+        }
+        if (!qualitySettings.bitDepths.includes(bitDepth)) {
+            throw new Error(`${bitDepth}-bit output is not available on this plan`);
+        }
+    }
+
+    return { format, sampleRate, bitDepth };
+}
 
-            profanityTimestamps.forEach((timestamp, index) => {
-                const startTime = Math.max(0, timestamp.timestamp - 0.5); // 0.5s buffer
-                const endTime = timestamp.timestamp + (timestamp.duration || 1.0);
+// Resolve the mastering preset (plan default or masteringPreset) and apply any
+// masteringOptions overrides: targetLufs, truePeak, lra, highpass, compression
+function parseMasteringSettings(body, qualitySettings) {
+    const preset = body.masteringPreset || qualitySettings.masteringPreset;
+    if (!CONFIG.MASTERING_PRESETS[preset]) {
+        throw new Error(`Unsupported mastering preset: ${preset}. Supported: ${Object.keys(CONFIG.MASTERING_PRESETS).join(', ')}`);
+    }
+    if (!qualitySettings.masteringPresets.includes(preset)) {
+        throw new Error(`Mastering preset ${preset} is not available on this plan`);
+    }
+
+    const presetSettings = CONFIG.MASTERING_PRESETS[preset];
+    const mastering = {
+        preset,
+        highpass: presetSettings.highpass,
+        compression: presetSettings.compression,
+        loudnorm: presetSettings.loudnorm ? { ...presetSettings.loudnorm } : null
+    };
+
+    if (!body.masteringOptions) {
+        return mastering;
+    }
 
+    let overrides;
+    try {
+        overrides = JSON.parse(body.masteringOptions);
+    } catch (error) {
+        throw new Error('masteringOptions must be valid JSON');
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('masteringOptions must be a JSON object');
+    }
+
+    const loudnormLimits = {
+        targetLufs: [-70, -5],
+        truePeak: [-9, 0],
+        lra: [1, 50]
+    };
+    for (const [key, [min, max]] of Object.entries(loudnormLimits)) {
+        if (overrides[key] === undefined) continue;
+
+        const value = Number(overrides[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`masteringOptions.${key} must be between ${min} and ${max}`);
+        }
+        // Setting any loudness target turns normalization on, starting from the streaming targets
+        mastering.loudnorm = mastering.loudnorm || { ...CONFIG.MASTERING_PRESETS.streaming.loudnorm };
+        mastering.loudnorm[key] = value;
+    }
+
+    if (overrides.loudnorm === false) {
+        mastering.loudnorm = null;
+    }
+
+    if (overrides.highpass !== undefined) {
+        const highpass = overrides.highpass === null ? 0 : Number(overrides.highpass);
+        if (!Number.isFinite(highpass) || highpass < 0 || highpass > 300) {
+            throw new Error('masteringOptions.highpass must be between 0 and 300 Hz (0 or null disables it)');
+        }
+        mastering.highpass = highpass || null;
+    }
+
+    if (overrides.compression !== undefined) {
+        if (overrides.compression !== null && !CONFIG.COMPRESSION_CURVES[overrides.compression]) {
+            throw new Error(`masteringOptions.compression must be null or one of: ${Object.keys(CONFIG.COMPRESSION_CURVES).join(', ')}`);
+        }
+        mastering.compression = overrides.compression;
+    }
+
+    return mastering;
+}
+
+// Apply codec, container, sample rate and bit depth/bitrate to an ffmpeg command
+function applyOutputSettings(ffmpegCommand, output, qualitySettings) {
+    const format = CONFIG.OUTPUT_FORMATS[output.format];
+    let command = ffmpegCommand
+        .audioFrequency(output.sampleRate)
+        .format(format.container);
+
+    if (format.codecs) {
+        command = command.audioCodec(format.codecs[output.bitDepth]);
+    } else if (format.sampleFormats) {
+        command = command
+            .audioCodec(format.codec)
+            .outputOptions(['-sample_fmt', format.sampleFormats[output.bitDepth], '-bits_per_raw_sample', String(output.bitDepth)]);
+    } else {
+        command = command
+            .audioCodec(format.codec)
+            .audioBitrate(qualitySettings.bitrate);
+    }
+
+    return command;
+}
+
+// Validate the censorMode/censorOptions request fields and merge in the mode defaults
+function parseCensorSettings(body, censorSoundFile) {
+    const mode = body.censorMode || 'mute';
+    if (!CONFIG.CENSOR_MODES[mode]) {
+        throw new Error(`Unsupported censor mode: ${mode}. Supported: ${Object.keys(CONFIG.CENSOR_MODES).join(', ')}`);
+    }
+
+    let requestOptions = {};
+    if (body.censorOptions) {
+        try {
+            requestOptions = JSON.parse(body.censorOptions);
+        } catch (error) {
+            throw new Error('censorOptions must be valid JSON');
+        }
+        if (!requestOptions || typeof requestOptions !== 'object' || Array.isArray(requestOptions)) {
+            throw new Error('censorOptions must be a JSON object');
+        }
+    }
+
+    const options = { ...CONFIG.CENSOR_MODES[mode] };
+    for (const [key, defaultValue] of Object.entries(CONFIG.CENSOR_MODES[mode])) {
+        if (requestOptions[key] === undefined) continue;
+
+        const value = Number(requestOptions[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid censor option ${key}: ${requestOptions[key]}`);
+        }
+        options[key] = typeof defaultValue === 'number' ? value : requestOptions[key];
+    }
+
+    if (mode === 'sound_effect' && !censorSoundFile) {
+        throw new Error('censorSound file is required for the sound_effect censor mode');
+    }
+
+    return {
+        mode,
+        options,
+        soundPath: censorSoundFile ? censorSoundFile.path : null
+    };
+}
+
+// Build the filter graph that censors each segment of [0:a] in the chosen mode.
+// Returns the filters plus the label of the censored stream.
+function buildCensorFilters(segments, censor) {
+    const filters = [];
+    const { mode, options } = censor;
+    const inSegment = segments
+        .map(({ startTime, endTime }) => `between(t,${startTime},${endTime})`)
+        .join('+');
+
+    const muteSegments = (input, output) => {
+        filters.push({
+            filter: 'volume',
+            options: `enable='${inSegment}':volume=0`,
+            inputs: input,
+            outputs: output
+        });
+    };
+
+    // Mix the muted programme with one replacement stream per segment; each
+    // buildReplacement call must output [replacement<index>]
+    const mixReplacements = (source, buildReplacement) => {
+        const sourceLabels = segments.map((segment, index) => `[src${index}]`);
+        filters.push({
+            filter: 'asplit',
+            options: String(segments.length),
+            inputs: source,
+            outputs: sourceLabels
+        });
+
+        segments.forEach((segment, index) => {
+            buildReplacement(sourceLabels[index], segment, index);
+        });
+
+        filters.push({
+            filter: 'amix',
+            options: `inputs=${segments.length + 1}:duration=first:normalize=0`,
+            inputs: ['[muted]', ...segments.map((segment, index) => `[replacement${index}]`)],
+            outputs: '[censored]'
+        });
+    };
+
+    switch (mode) {
+        case 'bleep':
+            muteSegments('[0:a]', '[muted]');
+            filters.push({
+                filter: 'sine',
+                options: `frequency=${options.frequency}:sample_rate=48000`,
+                outputs: '[tone]'
+            });
+            filters.push({
+                filter: 'volume',
+                options: `volume='${options.volume}*gt(${inSegment},0)':eval=frame`,
+                inputs: '[tone]',
+                outputs: '[bleep]'
+            });
+            filters.push({
+                filter: 'amix',
+                options: 'inputs=2:duration=first:normalize=0',
+                inputs: ['[muted]', '[bleep]'],
+                outputs: '[censored]'
+            });
+            break;
+
+        case 'reverse':
+            // DJ-style: each flagged word is played backwards in place
+            filters.push({
+                filter: 'asplit',
+                options: '2',
+                inputs: '[0:a]',
+                outputs: ['[main]', '[words]']
+            });
+            muteSegments('[main]', '[muted]');
+            mixReplacements('[words]', (input, { startTime, endTime }, index) => {
                 filters.push({
-                    filter: 'volume',
-                    options: `enable='between(t,${startTime},${endTime})':volume=0`,
+                    filter: 'atrim',
+                    options: `start=${startTime}:end=${endTime}`,
+                    inputs: input,
+                    outputs: `[replacement${index}_trim]`
+                });
+                filters.push({
+                    filter: 'asetpts',
+                    options: 'PTS-STARTPTS',
+                    inputs: `[replacement${index}_trim]`,
+                    outputs: `[replacement${index}_pts]`
+                });
+                filters.push({
+                    filter: 'areverse',
+                    inputs: `[replacement${index}_pts]`,
+                    outputs: `[replacement${index}_rev]`
+                });
+                filters.push({
+                    filter: 'adelay',
+                    options: `delays=${Math.round(startTime * 1000)}:all=1`,
+                    inputs: `[replacement${index}_rev]`,
+                    outputs: `[replacement${index}]`
+                });
+            });
+            break;
+
+        case 'vocal_dip': {
+            // Octave-wide cuts across the vocal range, only while a segment is playing
+            const centers = [];
+            for (let frequency = options.lowFrequency * Math.SQRT2; frequency < options.highFrequency; frequency *= 2) {
+                centers.push(Math.round(frequency));
+            }
+            if (centers.length === 0) {
+                centers.push(Math.round(options.lowFrequency));
+            }
+
+            let currentInput = '[0:a]';
+            centers.forEach((center, index) => {
+                const output = index === centers.length - 1 ? '[censored]' : `[dip${index}]`;
+                filters.push({
+                    filter: 'equalizer',
+                    options: `f=${center}:t=o:w=1:g=-${options.depth}:enable='${inSegment}'`,
                     inputs: currentInput,
-                    outputs: `[muted${index}]`
+                    outputs: output
                 });
-                currentInput = `[muted${index}]`;
+                currentInput = output;
             });
+            break;
+        }
+
+        case 'vocal_remove': {
+            // Mid/side centre cut: L = M + S and R = M - S, so subtracting the
+            // band-limited mid from both channels removes the centre-panned vocal
+            // while the side signal and the mid lows/highs (kick, bass, air) keep playing.
+            // The gain ramps in and out around each segment to hide the transition.
+            const { amount, lowFrequency, highFrequency, ramp } = options;
+            const rampLength = Math.max(ramp, 0.001);
+            const segmentGain = segments
+                .map(({ startTime, endTime }) => {
+                    const rampStart = startTime - rampLength;
+                    const rampEnd = endTime + rampLength;
+                    return `clip(min((t-${rampStart})/${rampLength},(${rampEnd}-t)/${rampLength}),0,1)`;
+                })
+                .reduce((expression, segment) => `max(${expression},${segment})`);
 
-            // Apply noise reduction and enhancement
+            filters.push({
+                filter: 'aformat',
+                options: 'channel_layouts=stereo',
+                inputs: '[0:a]',
+                outputs: '[stereo]'
+            });
+            filters.push({
+                filter: 'asplit',
+                options: '2',
+                inputs: '[stereo]',
+                outputs: ['[dry]', '[mid]']
+            });
+            filters.push({
+                filter: 'pan',
+                options: 'mono|c0=0.5*c0+0.5*c1',
+                inputs: '[mid]',
+                outputs: '[mid_mono]'
+            });
+            // Two poles each side for a 24dB/octave vocal band
             filters.push({
                 filter: 'highpass',
-                options: 'f=80', // Remove low frequency noise
-                inputs: currentInput,
-                outputs: '[filtered]'
+                options: `f=${lowFrequency}:poles=2`,
+                inputs: '[mid_mono]',
+                outputs: '[mid_hp1]'
             });
-
             filters.push({
-                filter: 'compand',
-                options: 'attacks=0.3:decays=0.8:points=-80/-169|-54/-80|-49.5/-64.6|-41.1/-41.1|-25.8/-15|-10.8/-4.5|0/0|20/8.3',
-                inputs: '[filtered]',
-                outputs: '[compressed]'
+                filter: 'highpass',
+                options: `f=${lowFrequency}:poles=2`,
+                inputs: '[mid_hp1]',
+                outputs: '[mid_hp2]'
+            });
+            filters.push({
+                filter: 'lowpass',
+                options: `f=${highFrequency}:poles=2`,
+                inputs: '[mid_hp2]',
+                outputs: '[mid_lp1]'
+            });
+            filters.push({
+                filter: 'lowpass',
+                options: `f=${highFrequency}:poles=2`,
+                inputs: '[mid_lp1]',
+                outputs: '[vocal_band]'
+            });
+            // Small frames so the per-frame gain follows the ramps smoothly
+            filters.push({
+                filter: 'asetnsamples',
+                options: 'n=256',
+                inputs: '[vocal_band]',
+                outputs: '[vocal_frames]'
             });
+            filters.push({
+                filter: 'volume',
+                options: `volume='-${amount}*${segmentGain}':eval=frame`,
+                inputs: '[vocal_frames]',
+                outputs: '[vocal_cancel_mono]'
+            });
+            filters.push({
+                filter: 'pan',
+                options: 'stereo|c0=c0|c1=c0',
+                inputs: '[vocal_cancel_mono]',
+                outputs: '[vocal_cancel]'
+            });
+            filters.push({
+                filter: 'amix',
+                options: 'inputs=2:duration=first:normalize=0',
+                inputs: ['[dry]', '[vocal_cancel]'],
+                outputs: '[censored]'
+            });
+            break;
+        }
+
+        case 'sound_effect':
+            // The custom sound (input 1) is dropped in at the start of each segment
+            muteSegments('[0:a]', '[muted]');
+            mixReplacements('[1:a]', (input, { startTime, endTime }, index) => {
+                filters.push({
+                    filter: 'atrim',
+                    options: `end=${endTime - startTime}`,
+                    inputs: input,
+                    outputs: `[replacement${index}_trim]`
+                });
+                filters.push({
+                    filter: 'volume',
+                    options: `volume=${options.volume}`,
+                    inputs: `[replacement${index}_trim]`,
+                    outputs: `[replacement${index}_vol]`
+                });
+                filters.push({
+                    filter: 'adelay',
+                    options: `delays=${Math.round(startTime * 1000)}:all=1`,
+                    inputs: `[replacement${index}_vol]`,
+                    outputs: `[replacement${index}]`
+                });
+            });
+            break;
+
+        default:
+            muteSegments('[0:a]', '[censored]');
+    }
+
+    return { filters, output: '[censored]' };
+}
+
+// Audio processing function. When the mastering chain normalizes loudness this
+// runs two passes: the first measures the censored and filtered signal, the
+// second renders with those measurements so loudnorm can apply linear gain.
+async function processAudioFile(
+    inputPath,
+    outputPath,
+    profanityTimestamps,
+    qualitySettings,
+    censor = { mode: 'mute', options: {} },
+    output = { format: 'mp3', sampleRate: qualitySettings.sample, bitDepth: null },
+    mastering = { preset: 'classic', ...CONFIG.MASTERING_PRESETS.classic },
+    processReference = null,
+    job = null
+) {
+    console.log(`Processing audio: ${inputPath} -> ${outputPath} (mastering: ${mastering.preset})`);
+
+    if (profanityTimestamps.length > 0) {
+        console.log(`Applying ${profanityTimestamps.length} profanity filters (${censor.mode})`);
+    }
+
+    // Carry the upload's tags and artwork over, marked as the clean version
+    const source = await readSourceTags(inputPath);
+    const tags = buildCleanTags(source.tags, output.format, processReference);
+    const artwork = source.hasArtwork && CONFIG.OUTPUT_FORMATS[output.format].artwork;
+
+    const graph = {
+        inputPath,
+        profanityTimestamps,
+        censor,
+        mastering,
+        outputOptions: getTagOutputOptions(tags, output.format, artwork),
+        job
+    };
+
+    const finishOutput = async (loudness) => {
+        if (CONFIG.OUTPUT_FORMATS[output.format].metadata === 'mp4') {
+            await annotateMp4(outputPath, source.tags, processReference);
+        }
+        return { outputPath, loudness, tags, artwork };
+    };
+
+    // Render stage progress; with loudnorm the analysis pass is the first half
+    const reportProgress = (from, share) => (percent) => {
+        if (job) setJobProgress(job, 'render', from + percent * share);
+    };
+
+    if (!mastering.loudnorm) {
+        await runAudioGraph({ ...graph, onProgress: reportProgress(0, 1) }, outputPath, output, qualitySettings);
+        return await finishOutput(null);
+    }
+
+    const analysisLog = await runAudioGraph({ ...graph, onProgress: reportProgress(0, 0.5) }, null);
+    const measured = parseLoudnormStats(analysisLog);
+    if (!measured) {
+        console.warn('Loudness analysis unavailable, falling back to single-pass loudnorm');
+    }
+
+    const renderLog = await runAudioGraph({ ...graph, measured, onProgress: reportProgress(50, 0.5) }, outputPath, output, qualitySettings);
+    const rendered = parseLoudnormStats(renderLog);
+
+    return await finishOutput({
+        target: mastering.loudnorm,
+        before: measured && {
+            integrated: measured.input_i,
+            truePeak: measured.input_tp,
+            lra: measured.input_lra,
+            threshold: measured.input_thresh
+        },
+        after: rendered && {
+            integrated: rendered.output_i,
+            truePeak: rendered.output_tp,
+            lra: rendered.output_lra,
+            threshold: rendered.output_thresh
+        },
+        normalizationType: rendered ? rendered.normalization_type : null
+    });
+}
+
+// Run the censor + mastering filter graph over the input. With no outputPath the
+// result goes to the null muxer (analysis pass). Resolves with ffmpeg's stderr.
+function runAudioGraph(graph, outputPath, output, qualitySettings) {
+    const { inputPath, profanityTimestamps, censor, mastering, measured = null, outputOptions = [], job = null, onProgress = null } = graph;
+
+    return new Promise((resolve, reject) => {
+        let ffmpegCommand = trackJobCommand(job, ffmpeg(inputPath));
+        ffmpegCommand = outputPath
+            ? applyOutputSettings(ffmpegCommand, output, qualitySettings).outputOptions(outputOptions)
+            : ffmpegCommand.format('null');
+
+        const filters = [];
+        let currentInput = '[0:a]';
+
+        // Apply profanity filtering in the requested censor mode
+        if (profanityTimestamps.length > 0) {
+            if (censor.soundPath) {
+                ffmpegCommand = ffmpegCommand.input(censor.soundPath);
+            }
+
+            const segments = profanityTimestamps.map(getSegmentBounds);
+            const censorGraph = buildCensorFilters(segments, censor);
+            filters.push(...censorGraph.filters);
+            currentInput = censorGraph.output;
+        }
+
+        // Apply the enhancement chain
+        const masteringGraph = buildMasteringFilters(currentInput, mastering, measured);
+        filters.push(...masteringGraph.filters);
 
-            ffmpegCommand = ffmpegCommand.complexFilter(filters, '[compressed]');
+        if (filters.length > 0) {
+            ffmpegCommand = ffmpegCommand.complexFilter(filters, masteringGraph.output);
         } else {
-            // Apply basic audio enhancement even without profanity
-            ffmpegCommand = ffmpegCommand
-                .audioFilters([
-                    'highpass=f=80',
-                    'compand=attacks=0.3:decays=0.8:points=-80/-169|-54/-80|-49.5/-64.6|-41.1/-41.1|-25.8/-15|-10.8/-4.5|0/0|20/8.3'
-                ]);
+            // Cover art adds its own -map, which turns off automatic stream
+            // selection, so the untouched audio has to be mapped explicitly
+            ffmpegCommand = ffmpegCommand.outputOptions(['-map', '0:a:0']);
         }
 
         ffmpegCommand
@@ -304,31 +1243,282 @@ async function processAudioFile(inputPath, outputPath, profanityTimestamps, qual
             })
             .on('progress', (progress) => {
                 console.log(`Processing: ${Math.round(progress.percent || 0)}% done`);
+                if (onProgress) onProgress(progress.percent || 0);
             })
-            .on('end', () => {
-                console.log('Audio processing completed');
-                resolve(outputPath);
+            .on('end', (stdout, stderr) => {
+                console.log(outputPath ? 'Audio processing completed' : 'Loudness analysis completed');
+                resolve(stderr || '');
             })
             .on('error', (err) => {
                 console.error('FFmpeg error:', err);
                 reject(err);
             })
-            .save(outputPath);
+            .save(outputPath || '/dev/null');
     });
 }
 
-// Generate preview from processed audio
-async function generatePreview(inputPath, outputPath, duration, qualitySettings) {
+// Read the upload's tags (container and audio stream tags, keys lower-cased)
+// and whether it has embedded cover art
+function readSourceTags(filePath) {
     return new Promise((resolve, reject) => {
-        console.log(`Generating ${duration}s preview: ${outputPath}`);
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            const tags = {};
+            const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+            for (const source of [audioStream && audioStream.tags, metadata.format.tags]) {
+                for (const [key, value] of Object.entries(source || {})) {
+                    tags[key.toLowerCase()] = value;
+                }
+            }
+
+            const hasArtwork = metadata.streams.some(stream =>
+                stream.codec_type === 'video' && stream.disposition && stream.disposition.attached_pic === 1
+            );
+
+            resolve({ tags, hasArtwork });
+        });
+    });
+}
+
+// Tags for the cleaned file: the carried tags with a clean title, plus the ISRC,
+// a clean advisory and the processing reference under each container's own keys.
+// MP4 advisory/ISRC atoms are written afterwards by annotateMp4.
+function buildCleanTags(sourceTags, outputFormat, processReference) {
+    const tags = {};
+    for (const key of CONFIG.CARRIED_TAGS) {
+        if (sourceTags[key]) tags[key] = sourceTags[key];
+    }
+
+    if (tags.title && !/\bclean\b/i.test(tags.title)) {
+        tags.title += CONFIG.CLEAN_TITLE_SUFFIX;
+    }
 
-        ffmpeg(inputPath)
+    const isrc = sourceTags.isrc || sourceTags.tsrc;
+    const reference = processReference ? `FWEA-I ${processReference}` : 'FWEA-I';
+
+    switch (CONFIG.OUTPUT_FORMATS[outputFormat].metadata) {
+        case 'id3':
+            if (isrc) tags.TSRC = isrc;
+            tags.ITUNESADVISORY = '2'; // TXXX: 2 = clean
+            tags.FWEA_PROCESS_ID = processReference || '';
+            break;
+        case 'vorbis':
+            if (isrc) tags.ISRC = isrc;
+            tags.ITUNESADVISORY = '2';
+            tags.FWEA_PROCESS_ID = processReference || '';
+            break;
+        case 'riff':
+        case 'mp4':
+            tags.comment = `Clean version (${reference})`;
+            break;
+    }
+
+    return tags;
+}
+
+// ffmpeg output options that write the tags and map the cover art, if any
+function getTagOutputOptions(tags, outputFormat, artwork) {
+    const format = CONFIG.OUTPUT_FORMATS[outputFormat];
+    const options = ['-map_metadata', '0'];
+
+    for (const [key, value] of Object.entries(tags)) {
+        options.push('-metadata', `${key}=${value}`);
+        // Ogg keeps Vorbis comments on the stream rather than the container
+        if (format.metadata === 'vorbis') {
+            options.push('-metadata:s:a:0', `${key}=${value}`);
+        }
+    }
+
+    if (format.container === 'adts') {
+        options.push('-write_id3v2', '1');
+    }
+
+    if (artwork) {
+        options.push('-map', '0:v?', '-c:v', 'copy', '-disposition:v', 'attached_pic');
+    }
+
+    return options;
+}
+
+// Add the iTunes content rating (rtng = 2, clean) and ISRC/processing reference
+// freeform atoms to an MP4's moov/udta/meta/ilst. ffmpeg writes moov after mdat,
+// so growing moov leaves the chunk offsets valid.
+async function annotateMp4(filePath, sourceTags, processReference) {
+    const data = await fs.readFile(filePath);
+
+    const moov = findMp4Atom(data, 0, data.length, 'moov');
+    const mdat = findMp4Atom(data, 0, data.length, 'mdat');
+    if (!moov || (mdat && mdat.start > moov.start)) {
+        console.warn(`Skipping MP4 annotations for ${filePath}: moov not found after mdat`);
+        return;
+    }
+
+    const udta = findMp4Atom(data, moov.start + 8, moov.start + moov.size, 'udta');
+    const meta = udta && findMp4Atom(data, udta.start + 8, udta.start + udta.size, 'meta');
+    const ilst = meta && findMp4Atom(data, meta.start + 12, meta.start + meta.size, 'ilst'); // meta is a full box
+    if (!ilst) {
+        console.warn(`Skipping MP4 annotations for ${filePath}: no ilst atom`);
+        return;
+    }
+
+    const atoms = [
+        mp4Atom('rtng', mp4Atom('data', Buffer.from([0, 0, 0, 0x15, 0, 0, 0, 0, 2])))
+    ];
+    const isrc = sourceTags.isrc || sourceTags.tsrc;
+    if (isrc) atoms.push(mp4FreeformAtom('ISRC', isrc));
+    if (processReference) atoms.push(mp4FreeformAtom('FWEA_PROCESS_ID', processReference));
+
+    const inserted = Buffer.concat(atoms);
+    for (const atom of [moov, udta, meta, ilst]) {
+        data.writeUInt32BE(atom.size + inserted.length, atom.start);
+    }
+
+    const ilstEnd = ilst.start + ilst.size;
+    await fs.writeFile(filePath, Buffer.concat([data.subarray(0, ilstEnd), inserted, data.subarray(ilstEnd)]));
+}
+
+function findMp4Atom(data, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const size = data.readUInt32BE(offset);
+        // 64-bit (size 1) or open-ended (size 0) atoms only appear at the top level (mdat)
+        const atomSize = size === 1 ? Number(data.readBigUInt64BE(offset + 8)) : size === 0 ? end - offset : size;
+        if (atomSize < 8) return null;
+
+        if (data.toString('latin1', offset + 4, offset + 8) === type) {
+            return { start: offset, size: atomSize };
+        }
+        offset += atomSize;
+    }
+    return null;
+}
+
+function mp4Atom(type, payload) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+// iTunes freeform (----) atom: mean + name + UTF-8 data
+function mp4FreeformAtom(name, value) {
+    const fullBoxHeader = Buffer.alloc(4);
+    return mp4Atom('----', Buffer.concat([
+        mp4Atom('mean', Buffer.concat([fullBoxHeader, Buffer.from('com.apple.iTunes')])),
+        mp4Atom('name', Buffer.concat([fullBoxHeader, Buffer.from(name)])),
+        mp4Atom('data', Buffer.concat([Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from(String(value))]))
+    ]));
+}
+
+// Highpass, compression and loudnorm stages; `measured` holds first-pass stats
+function buildMasteringFilters(input, mastering, measured) {
+    const filters = [];
+    let currentInput = input;
+
+    const addFilter = (filter, options, output) => {
+        filters.push({ filter, options, inputs: currentInput, outputs: output });
+        currentInput = output;
+    };
+
+    if (mastering.highpass) {
+        addFilter('highpass', `f=${mastering.highpass}`, '[filtered]');
+    }
+
+    if (mastering.compression) {
+        const curve = CONFIG.COMPRESSION_CURVES[mastering.compression];
+        addFilter(curve.filter, curve.options, '[compressed]');
+    }
+
+    if (mastering.loudnorm) {
+        const { targetLufs, truePeak, lra } = mastering.loudnorm;
+        let options = `I=${targetLufs}:TP=${truePeak}:LRA=${lra}:print_format=json`;
+        if (measured) {
+            options += `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+                `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+                `:offset=${measured.target_offset}:linear=true`;
+        }
+        addFilter('loudnorm', options, '[normalized]');
+    }
+
+    return { filters, output: currentInput };
+}
+
+// Pull the JSON block loudnorm prints at the end of a run. Returns null when it
+// is missing or not finite (e.g. digital silence measures -inf).
+function parseLoudnormStats(stderr) {
+    const match = /\{[^{}]*"input_i"[^{}]*\}/.exec(stderr);
+    if (!match) return null;
+
+    try {
+        const stats = JSON.parse(match[0]);
+        const numericKeys = Object.keys(stats).filter(key => key !== 'normalization_type');
+        for (const key of numericKeys) {
+            stats[key] = parseFloat(stats[key]);
+            if (!Number.isFinite(stats[key])) return null;
+        }
+        return stats;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resolve a profanity timestamp to the segment that gets censored. Word-timed
+// entries carry start/end, padded by CENSOR_PADDING unless marked exact;
+// legacy entries only have a single estimated timestamp.
+function getSegmentBounds(timestamp) {
+    if (Number.isFinite(timestamp.start) && Number.isFinite(timestamp.end)) {
+        // Times set by hand (review edits, imported segment files) are kept as given
+        if (timestamp.exact === true) {
+            return { startTime: Math.max(0, timestamp.start), endTime: timestamp.end };
+        }
+        return {
+            startTime: Math.max(0, timestamp.start - CONFIG.CENSOR_PADDING),
+            endTime: timestamp.end + CONFIG.CENSOR_PADDING
+        };
+    }
+
+    return {
+        startTime: Math.max(0, timestamp.timestamp - 0.5), // 0.5s buffer
+        endTime: timestamp.timestamp + (timestamp.duration || 1.0)
+    };
+}
+
+// Generate preview from processed audio: exact duration with a fade-out at the end
+async function generatePreview(inputPath, outputPath, duration, qualitySettings, outputFormat = 'mp3', job = null) {
+    const format = CONFIG.OUTPUT_FORMATS[outputFormat] || CONFIG.OUTPUT_FORMATS.mp3;
+    const sourceInfo = await getAudioInfo(inputPath);
+    const previewDuration = Math.min(duration, sourceInfo.duration || duration);
+    const fadeDuration = Math.min(CONFIG.PREVIEW_FADE_SECONDS, previewDuration);
+
+    return new Promise((resolve, reject) => {
+        console.log(`Generating ${previewDuration}s preview: ${outputPath}`);
+
+        let ffmpegCommand = trackJobCommand(job, ffmpeg(inputPath))
             .seekInput(0) // Start from beginning
-            .duration(duration) // Limit duration
-            .audioBitrate(qualitySettings.bitrate)
+            .duration(previewDuration) // Limit duration
+            .audioFilters(`afade=t=out:st=${previewDuration - fadeDuration}:d=${fadeDuration}`)
             .audioFrequency(qualitySettings.sample)
-            .audioCodec('libmp3lame')
-            .format('mp3')
+            .audioCodec(format.codec)
+            .format(format.container)
+            // Keep tags, and the cover art where the container can hold it
+            .outputOptions(format.artwork
+                ? ['-map', '0:a', '-map', '0:v?', '-c:v', 'copy', '-map_metadata', '0']
+                : ['-map', '0:a', '-map_metadata', '0']);
+
+        if (!format.lossless) {
+            ffmpegCommand = ffmpegCommand.audioBitrate(qualitySettings.bitrate);
+        }
+
+        ffmpegCommand
+            .on('progress', (progress) => {
+                // percent is relative to the whole input, so use the position instead
+                const [hours, minutes, seconds] = progress.timemark.split(':').map(parseFloat);
+                if (job) setJobProgress(job, 'preview', (hours * 3600 + minutes * 60 + seconds) / previewDuration * 100);
+            })
             .on('end', () => {
                 console.log('Preview generation completed');
                 resolve(outputPath);
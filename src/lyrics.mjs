@@ -0,0 +1,287 @@
+/**
+ * FWEA-I lyrics alignment
+ * Artist-supplied lyrics (plain text or LRC) are aligned word by word to the
+ * Whisper transcript, so profanity detection can run on the words that were
+ * actually written while keeping the timings Whisper heard them at.
+ *
+ * Alignment is a minimum edit distance over the two word sequences; with LRC
+ * lyrics a word can only pair with one heard around its line's time. Lyric
+ * words paired with a transcript word take its timing; lyric words Whisper
+ * missed are spread over the gap between their aligned neighbours, starting
+ * at their LRC line time when there is one. Every stretch where the two
+ * disagree is reported.
+ */
+
+import { normalizeText } from './profanity.mjs';
+
+// Longest lyrics aligned; the alignment table grows with lyrics x transcript
+export const MAX_LYRIC_WORDS = 2000;
+
+// Seconds given to each lyric word after the last aligned word when the
+// track's duration is unknown
+const TRAILING_WORD_SECONDS = 0.4;
+
+// How far outside its LRC line a lyric word may be heard and still pair up
+const LRC_TOLERANCE_SECONDS = 2;
+
+const LRC_TIME_TAG = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const LRC_WORD_TAG = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+const LRC_METADATA = /^\[[a-z#]+:.*\]$/i;
+const SECTION_HEADER = /^\[[^\]]*\]$/; // [Chorus], [Verse 2: Artist]
+
+const STEP_MATCH = 1;
+const STEP_LYRIC_ONLY = 2;
+const STEP_TRANSCRIPT_ONLY = 3;
+
+// Lyrics as lines with an LRC time (in seconds) or null. LRC lines with
+// several time tags (a repeated chorus) appear once per tag, in time order.
+// Enhanced LRC word tags are dropped; section headers and LRC metadata are
+// not sung and are skipped.
+export function parseLyrics(text) {
+  const rawLines = String(text).replace(/^﻿/, '').split(/\r?\n/);
+  const isLrc = rawLines.some(line => /^\s*\[\d{1,3}:\d{1,2}/.test(line));
+  const lines = [];
+
+  for (const rawLine of rawLines) {
+    const line = rawLine.trim();
+    if (!line || LRC_METADATA.test(line)) continue;
+
+    if (isLrc) {
+      const times = [...line.matchAll(LRC_TIME_TAG)].map(([, minutes, seconds]) =>
+        parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.')));
+      const lyric = line.replace(LRC_TIME_TAG, '').replace(LRC_WORD_TAG, '').trim();
+      if (!lyric) continue;
+      for (const time of times.length > 0 ? times : [null]) {
+        lines.push({ time, text: lyric });
+      }
+    } else if (!SECTION_HEADER.test(line)) {
+      lines.push({ time: null, text: line });
+    }
+  }
+
+  if (isLrc) {
+    // Untimed lines keep their place after the line before them
+    let lastTime = 0;
+    lines.forEach((line, index) => {
+      line.order = index;
+      line.sortTime = line.time ?? lastTime;
+      lastTime = line.sortTime;
+    });
+    lines.sort((a, b) => a.sortTime - b.sortTime || a.order - b.order);
+    lines.forEach(line => {
+      delete line.order;
+      delete line.sortTime;
+    });
+  }
+
+  return { format: isLrc ? 'lrc' : 'text', lines };
+}
+
+// The lyrics' words in order. lineTime is set on the first word of a timed
+// line; every word of a timed line gets the window (line time to the next
+// line's time) it should be heard in.
+export function getLyricWords(lyrics) {
+  return lyrics.lines.flatMap((line, lineIndex) => {
+    const next = lyrics.lines.slice(lineIndex + 1).find(candidate => candidate.time !== null);
+    const window = line.time === null
+      ? null
+      : [line.time - LRC_TOLERANCE_SECONDS, (next ? next.time : Infinity) + LRC_TOLERANCE_SECONDS];
+
+    return line.text.split(/\s+/)
+      .filter(word => alignmentForm(word))
+      .map((word, index) => ({ word, lineTime: index === 0 ? line.time : null, window }));
+  });
+}
+
+// Align lyric words to the transcript's timed words. Returns the lyric words
+// with timings (aligned: false when the timing was interpolated), the
+// transcript words no lyric word paired with (ad-libs, off-sheet lines) and
+// the stretches where lyrics and transcript disagree.
+export function alignLyrics(lyrics, timedWords, { duration = null } = {}) {
+  const lyricWords = getLyricWords(lyrics).slice(0, MAX_LYRIC_WORDS);
+  const transcriptWords = timedWords.filter(word => alignmentForm(word.word));
+  const steps = alignSequences(
+    lyricWords.map(word => alignmentForm(word.word)),
+    transcriptWords.map(word => alignmentForm(word.word)),
+    (i, j) => !lyricWords[i].window ||
+      (transcriptWords[j].end >= lyricWords[i].window[0] && transcriptWords[j].start <= lyricWords[i].window[1])
+  );
+
+  const words = lyricWords.map(word => ({ word: word.word, start: null, end: null, aligned: false, lineTime: word.lineTime }));
+  for (const step of steps) {
+    if (step.lyric !== null && step.transcript !== null) {
+      const heard = transcriptWords[step.transcript];
+      Object.assign(words[step.lyric], { start: heard.start, end: heard.end, aligned: true });
+    }
+  }
+  fillUnalignedTimes(words, duration);
+
+  return {
+    words: words.map(({ word, start, end, aligned }) => ({ word, start, end, aligned })),
+    unpaired: steps.filter(step => step.lyric === null).map(step => transcriptWords[step.transcript]),
+    disagreements: collectDisagreements(steps, words, transcriptWords),
+    matched: steps.filter(step => step.same).length,
+    lyricWords: words.length,
+    transcriptWords: transcriptWords.length
+  };
+}
+
+// Lower-cased letters and digits only, so "F**k," and "f**k" compare equal
+function alignmentForm(word) {
+  return normalizeText(word).replace(/[^\p{L}\p{N}\p{M}*]/gu, '');
+}
+
+// Minimum edit distance alignment. Equal words cost nothing, near misses
+// (one edit apart, four letters or more) cost 1 and other substitutions 2,
+// the same as leaving a word out on each side. canPair(i, j) rules pairs out
+// whatever their words. Returns the steps in order: {lyric, transcript}
+// indexes with null for a word only one side has.
+function alignSequences(lyrics, transcript, canPair) {
+  const columns = transcript.length + 1;
+  const moves = new Uint8Array((lyrics.length + 1) * columns);
+  let previous = new Uint32Array(columns);
+  let current = new Uint32Array(columns);
+
+  for (let j = 1; j < columns; j++) {
+    previous[j] = j;
+    moves[j] = STEP_TRANSCRIPT_ONLY;
+  }
+
+  for (let i = 1; i <= lyrics.length; i++) {
+    current[0] = i;
+    moves[i * columns] = STEP_LYRIC_ONLY;
+
+    for (let j = 1; j < columns; j++) {
+      const substitution = canPair(i - 1, j - 1)
+        ? previous[j - 1] + substitutionCost(lyrics[i - 1], transcript[j - 1])
+        : Infinity;
+      const lyricOnly = previous[j] + 1;
+      const transcriptOnly = current[j - 1] + 1;
+
+      if (substitution <= lyricOnly && substitution <= transcriptOnly) {
+        current[j] = substitution;
+        moves[i * columns + j] = STEP_MATCH;
+      } else if (lyricOnly <= transcriptOnly) {
+        current[j] = lyricOnly;
+        moves[i * columns + j] = STEP_LYRIC_ONLY;
+      } else {
+        current[j] = transcriptOnly;
+        moves[i * columns + j] = STEP_TRANSCRIPT_ONLY;
+      }
+    }
+    [previous, current] = [current, previous];
+  }
+
+  const steps = [];
+  let i = lyrics.length;
+  let j = transcript.length;
+  while (i > 0 || j > 0) {
+    const move = moves[i * columns + j];
+    if (move === STEP_MATCH) {
+      steps.push({ lyric: i - 1, transcript: j - 1, same: lyrics[i - 1] === transcript[j - 1] });
+      i--;
+      j--;
+    } else if (move === STEP_LYRIC_ONLY) {
+      steps.push({ lyric: i - 1, transcript: null, same: false });
+      i--;
+    } else {
+      steps.push({ lyric: null, transcript: j - 1, same: false });
+      j--;
+    }
+  }
+
+  return steps.reverse();
+}
+
+function substitutionCost(a, b) {
+  if (a === b) return 0;
+  return Math.min(a.length, b.length) >= 4 && withinOneEdit(a, b) ? 1 : 2;
+}
+
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Give each run of unaligned lyric words an even share of the time between
+// the aligned words around it. A word that starts an LRC line inside the gap
+// starts the share at its line time instead.
+function fillUnalignedTimes(words, duration) {
+  let index = 0;
+  while (index < words.length) {
+    if (words[index].aligned) {
+      index++;
+      continue;
+    }
+
+    let runEnd = index;
+    while (runEnd < words.length && !words[runEnd].aligned) runEnd++;
+
+    const before = index > 0 ? words[index - 1].end : 0;
+    const after = runEnd < words.length
+      ? words[runEnd].start
+      : Math.max(duration ?? 0, before + (runEnd - index) * TRAILING_WORD_SECONDS);
+    const lineTime = words[index].lineTime;
+    const from = lineTime !== null && lineTime >= before && lineTime < after ? lineTime : before;
+    const share = Math.max(0, after - from) / (runEnd - index);
+
+    for (let offset = 0; offset < runEnd - index; offset++) {
+      words[index + offset].start = from + share * offset;
+      words[index + offset].end = from + share * (offset + 1);
+    }
+    index = runEnd;
+  }
+}
+
+// Stretches of consecutive steps where the words differ, with the lyric and
+// transcript text on each side and the time they cover
+function collectDisagreements(steps, words, transcriptWords) {
+  const disagreements = [];
+  let current = null;
+
+  for (const step of steps) {
+    if (step.same) {
+      current = null;
+      continue;
+    }
+
+    const lyric = step.lyric !== null ? words[step.lyric] : null;
+    const heard = step.transcript !== null ? transcriptWords[step.transcript] : null;
+    const start = Math.min(lyric?.start ?? Infinity, heard?.start ?? Infinity);
+    const end = Math.max(lyric?.end ?? -Infinity, heard?.end ?? -Infinity);
+
+    if (!current) {
+      current = { lyrics: [], transcript: [], start, end };
+      disagreements.push(current);
+    }
+    if (lyric) current.lyrics.push(lyric.word);
+    if (heard) current.transcript.push(heard.word);
+    current.start = Math.min(current.start, start);
+    current.end = Math.max(current.end, end);
+  }
+
+  return disagreements.map(({ lyrics, transcript, start, end }) => ({
+    lyrics: lyrics.join(' '),
+    transcript: transcript.join(' '),
+    start,
+    end
+  }));
+}
@@ -0,0 +1,696 @@
+/**
+ * FWEA-I profanity matching
+ * Word lists are compiled once into an Aho-Corasick automaton for prefix and
+ * substring hits, with near-miss (edit distance 1) matching kept as a separate
+ * pass whose cost depends on the word's length, not on the size of the list.
+ *
+ * List entries are either a plain string (matched as a whole word) or
+ * { "word": "...", "match": "exact" | "prefix" | "substring" | "fuzzy",
+ *   "severity": "mild" | "medium" | "strong", "category": "profanity" | ... }.
+ * { "phrase": "..." } entries match their words in a row, across transcript
+ * words. An allowlist of innocent words is never flagged, whatever the rules say.
+ *
+ * Text and entries are compared after NFKC normalization and case folding,
+ * optionally with diacritics folded away. Scripts written without spaces
+ * (Chinese, Japanese) have no word boundaries to apply the rules to, so their
+ * runs are segmented against the list and allowlist as a dictionary instead.
+ *
+ * Obfuscated spellings get a second look: leetspeak characters are read as
+ * letters ("sh1t", "@ss"), masking symbols as any one letter ("f*ck"),
+ * stretched letters are collapsed ("fuuuuck") and words spelled out one
+ * letter at a time are joined ("f u c k"). Matches still point at the
+ * transcript words they came from.
+ *
+ * Every match carries how it was made (method), its edit distance from the
+ * entry and a quality score from MATCH_QUALITY, so callers can tell a word
+ * as listed from a near miss or a guessed-at spelling.
+ *
+ * censorTranscript masks a transcript from those positions, so only the
+ * flagged occurrences change and each word keeps its original beside it.
+ */
+
+import AhoCorasick from 'ahocorasick';
+
+export const MATCH_RULES = ['exact', 'prefix', 'substring', 'fuzzy'];
+export const SEVERITIES = ['mild', 'medium', 'strong'];
+export const CATEGORIES = ['profanity', 'sexual', 'insult', 'blasphemy', 'slur'];
+
+// Entries that do not say otherwise
+const DEFAULT_SEVERITY = 'strong';
+const DEFAULT_CATEGORY = 'profanity';
+
+// Clean level profiles (the cleanLevel request option): a match is muted when
+// its severity or its category is listed for the level
+export const CLEAN_LEVELS = {
+  kids: { severities: ['mild', 'medium', 'strong'], categories: CATEGORIES }, // kids/TV: everything
+  radio: { severities: ['strong'], categories: ['slur'] },
+  light: { severities: [], categories: ['slur'] }
+};
+export const DEFAULT_CLEAN_LEVEL = 'kids';
+
+export function filterMatchesByCleanLevel(matches, cleanLevel = DEFAULT_CLEAN_LEVEL) {
+  const { severities, categories } = CLEAN_LEVELS[cleanLevel];
+  return matches.filter(match => severities.includes(match.severity) || categories.includes(match.category));
+}
+
+// How censorTranscript masks a flagged word: "****", "f***" or "[censored]"
+export const MASK_STYLES = ['asterisks', 'first_letter', 'censored'];
+export const DEFAULT_MASK_STYLE = 'asterisks';
+const CENSORED_PLACEHOLDER = '[censored]';
+
+// Match quality by method, 1 for a word as listed. A split word or an
+// obfuscated spelling scales the quality of the match read underneath it.
+export const MATCH_QUALITY = {
+  exact: 1,
+  phrase: 1,
+  prefix: 0.9,
+  substring: 0.8,
+  split: 0.8,
+  obfuscated: 0.8,
+  masked: 0.6,
+  fuzzy: 0.6
+};
+
+// Fuzzy entries shorter than this only match exactly: one edit away from a
+// short word is too many ordinary words
+export const FUZZY_MIN_LENGTH = 5;
+
+// Languages whose lists match with accents ignored ("pédale" and "pedale",
+// "scheiße" and "scheisse"). Elsewhere the marks change the word.
+export const FOLD_DIACRITICS_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt'];
+
+const WILDCARD = '\u0000';
+
+// Han, kana and the marks used inside Japanese words (々, ー)
+const UNSPACED_CHARACTERS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u3005\\u30FC';
+const UNSPACED_RUN = new RegExp(`([${UNSPACED_CHARACTERS}]+)`, 'u');
+const UNSPACED_WORD = new RegExp(`^[${UNSPACED_CHARACTERS}]+$`, 'u');
+const NON_WORD_CHARACTERS = /[^\p{L}\p{N}\p{M}]/gu;
+const CJK_PUNCTUATION = /[\u3000-\u303F\uFF00-\uFFEF]/;
+
+// Characters written in place of letters. Where a character stands for more
+// than one letter each reading is tried.
+const LEET_CHARACTERS = {
+  '0': ['o'], '1': ['i', 'l'], '3': ['e'], '4': ['a'], '5': ['s'], '7': ['t'], '8': ['b'],
+  '@': ['a'], '$': ['s'], '!': ['i'], '|': ['i', 'l'], '+': ['t'], '€': ['e']
+};
+// Characters that hide a letter ("f*ck", "sh#t")
+const MASK_CHARACTERS = /[*#%?_]/;
+const PLAIN_WORD = /^[\p{L}\p{M}]*$/u;
+const STRETCHED_LETTERS = /(\p{L})\1\1/u;
+// A word spelled out in at least this many single-letter words is joined
+export const SPLIT_WORD_MIN_LETTERS = 3;
+
+// Letters with no decomposition that diacritic folding should still reduce
+const FOLDED_LETTERS = { 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th' };
+
+// NFKC (full-width and compatibility forms), case folding and, optionally,
+// diacritic folding. Only marks on Latin letters are folded: in kana and
+// Hangul the decomposed marks are part of the letter. ñ is kept too, it is a
+// letter of its own in Spanish ("coño" is not "cono").
+export function normalizeText(text, { foldDiacritics = false } = {}) {
+  let normalized = String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/ς/g, 'σ');
+
+  if (foldDiacritics) {
+    normalized = normalized
+      .normalize('NFD')
+      .replace(/(?!n\u0303)(\p{Script=Latin})\p{M}+/gu, '$1')
+      .normalize('NFC')
+      .replace(/[æœøłđðþ]/g, letter => FOLDED_LETTERS[letter]);
+  }
+
+  return normalized;
+}
+
+// The form list entries and allowlisted words are compared in: normalized,
+// with everything but letters, digits and marks dropped
+export function toMatchForm(word, options = {}) {
+  return normalizeText(word, options).replace(NON_WORD_CHARACTERS, '');
+}
+
+// Split a transcript word into segments to match. Punctuation inside a word is
+// dropped ("don't" -> "dont"); whitespace and changes between spaced and
+// unspaced scripts start a new segment. Offsets index into the word's letters
+// so a hit inside a long unspaced token can be placed in time.
+export function segmentWord(word, options = {}) {
+  const segments = [];
+  let offset = 0;
+
+  for (const chunk of normalizeText(word, options).split(/\s+/)) {
+    const letters = chunk.replace(NON_WORD_CHARACTERS, '');
+    const parts = letters.split(UNSPACED_RUN);
+    parts.forEach((text, index) => {
+      if (text) {
+        const segment = { text, offset, unspaced: index % 2 === 1 };
+        // Only a chunk that is one spaced word can be read as an obfuscated one
+        if (parts.length === 1) {
+          const { raw, variants } = deobfuscateWord(chunk);
+          if (variants.length > 0) Object.assign(segment, { raw, variants });
+        }
+        segments.push(segment);
+      }
+      offset += text.length;
+    });
+  }
+
+  return { segments, length: offset };
+}
+
+// Other readings of a normalized word that looks obfuscated: leetspeak read
+// as letters, masking symbols as WILDCARD, and runs of three or more of the
+// same letter collapsed to one and to two ("fuuuuck", "asssss"). raw is the
+// word without its surrounding punctuation, for reporting. A word with
+// neither symbols, digits nor stretched letters has no variants.
+export function deobfuscateWord(word) {
+  if (PLAIN_WORD.test(word) && !STRETCHED_LETTERS.test(word)) {
+    return { raw: word, variants: [] };
+  }
+
+  const raw = word
+    .replace(/^[^\p{L}\p{N}\p{M}@$|*#]+/u, '')
+    .replace(/[^\p{L}\p{N}\p{M}$*#]+$/u, '');
+  const plain = raw.replace(NON_WORD_CHARACTERS, '');
+
+  const looksObfuscated = !PLAIN_WORD.test(raw) || STRETCHED_LETTERS.test(raw);
+  if (!looksObfuscated || !/\p{L}/u.test(raw) || UNSPACED_RUN.test(raw)) {
+    return { raw, variants: [] };
+  }
+
+  // The first and the last reading of every leet character
+  const readings = [0, 1].map(choice => [...raw].map(character => {
+    if (LEET_CHARACTERS[character]) {
+      const letters = LEET_CHARACTERS[character];
+      return letters[Math.min(choice, letters.length - 1)];
+    }
+    if (MASK_CHARACTERS.test(character)) return WILDCARD;
+    return /[\p{L}\p{N}\p{M}]/u.test(character) ? character : '';
+  }).join(''));
+
+  const variants = new Set();
+  for (const reading of readings) {
+    variants.add(reading);
+    variants.add(reading.replace(/(\p{L})\1{2,}/gu, '$1'));
+    variants.add(reading.replace(/(\p{L})\1{2,}/gu, '$1$1'));
+  }
+  variants.delete(plain);
+
+  return { raw, variants: [...variants].filter(Boolean) };
+}
+
+// Validate one list entry and return it as { word, match, severity, category, phrase }
+export function normalizeProfanityEntry(entry) {
+  if (typeof entry === 'string') {
+    entry = { word: entry };
+  }
+
+  const text = entry && (entry.phrase ?? entry.word);
+  if (typeof text !== 'string') {
+    throw new Error(`Invalid list entry: ${JSON.stringify(entry)}`);
+  }
+
+  const { match = 'exact', severity = DEFAULT_SEVERITY, category = DEFAULT_CATEGORY } = entry;
+  if (!MATCH_RULES.includes(match)) {
+    throw new Error(`Invalid match rule "${match}" for "${text}". Supported: ${MATCH_RULES.join(', ')}`);
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid severity "${severity}" for "${text}". Supported: ${SEVERITIES.join(', ')}`);
+  }
+  if (!CATEGORIES.includes(category)) {
+    throw new Error(`Invalid category "${category}" for "${text}". Supported: ${CATEGORIES.join(', ')}`);
+  }
+
+  return {
+    word: text.toLowerCase(),
+    match,
+    severity,
+    category,
+    phrase: entry.phrase !== undefined || /\s/.test(text.trim())
+  };
+}
+
+// Compile a profanity word list and its allowlist into a matcher. Invalid
+// entries are skipped with a warning so one bad entry does not drop a language.
+// options.foldDiacritics applies to the list, the allowlist and the text.
+export function compileProfanityMatcher(profanityWords, allowWords = [], options = {}) {
+  // Entries by matched form. The same word listed twice keeps its broadest
+  // rule and its highest severity (with that entry's category).
+  const entries = new Map();
+  const phrases = new Map(); // phrase entries by their first word
+  for (const entry of profanityWords) {
+    let normalized;
+    try {
+      normalized = normalizeProfanityEntry(entry);
+    } catch (error) {
+      console.warn(error.message);
+      continue;
+    }
+
+    const { match, severity, category } = normalized;
+    const words = normalized.phrase
+      ? segmentWord(normalized.word, options).segments.filter(segment => !segment.unspaced).map(segment => segment.text)
+      : [];
+
+    // Phrases of one spaced word (and Chinese/Japanese phrases, written
+    // without spaces anyway) are matched as single words
+    if (words.length > 1) {
+      if (!phrases.has(words[0])) phrases.set(words[0], []);
+      phrases.get(words[0]).push({ words, entry: words.join(' '), rule: match === 'prefix' ? 'prefix' : 'exact', severity, category });
+      continue;
+    }
+
+    // An entry that reduces to nothing would match every word
+    const word = toMatchForm(normalized.word, options);
+    if (!word) continue;
+
+    const existing = entries.get(word);
+    if (!existing) {
+      entries.set(word, { match, severity, category });
+      continue;
+    }
+    if (MATCH_RULES.indexOf(match) > MATCH_RULES.indexOf(existing.match)) {
+      existing.match = match;
+    }
+    if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(existing.severity)) {
+      existing.severity = severity;
+      existing.category = category;
+    }
+  }
+
+  const exact = new Map(); // exact and fuzzy entries, by word
+  const fuzzy = new Set();
+  const partial = new Map(); // prefix and substring entries, by word
+  const deletions = new Map();
+  const substitutions = new Map();
+  const dictionary = new Map(); // unspaced entries by word, allowlisted words as null
+  const allowed = new Set();
+
+  for (const [word, info] of entries) {
+    if (UNSPACED_WORD.test(word)) {
+      dictionary.set(word, info);
+      continue;
+    }
+
+    if (info.match === 'prefix' || info.match === 'substring') {
+      partial.set(word, info);
+      continue;
+    }
+
+    exact.set(word, info);
+
+    // Every fuzzy entry with one character deleted, and with one character
+    // replaced by a wildcard: enough to answer "one edit away?" with lookups
+    if (info.match === 'fuzzy' && word.length >= FUZZY_MIN_LENGTH) {
+      fuzzy.add(word);
+      for (let i = 0; i < word.length; i++) {
+        deletions.set(word.slice(0, i) + word.slice(i + 1), word);
+        substitutions.set(word.slice(0, i) + WILDCARD + word.slice(i + 1), word);
+      }
+    }
+  }
+
+  for (const word of allowWords.map(word => toMatchForm(word, options)).filter(Boolean)) {
+    if (UNSPACED_WORD.test(word)) {
+      dictionary.set(word, null);
+    } else {
+      allowed.add(word);
+    }
+  }
+
+  return {
+    options,
+    automaton: partial.size > 0 ? new AhoCorasick([...partial.keys()]) : null,
+    partial,
+    exact,
+    fuzzy,
+    deletions,
+    substitutions,
+    dictionary,
+    longestDictionaryWord: Math.max(0, ...[...dictionary.keys()].map(word => word.length)),
+    phrases,
+    allowed
+  };
+}
+
+// Find profanity matches in the timed word list. Each match records the list
+// entry, rule, severity and category that flagged it, and the transcript words
+// it spans (position to endPosition). Phrases and words spelled out letter
+// by letter are matched first, and the words inside them are not flagged
+// again on their own. Matches inside a word's unspaced run get a share of the
+// word's time in proportion to their position in it.
+export function findProfanityInText(timedWords, matcher) {
+  const tokens = tokenizeTimedWords(timedWords, matcher.options);
+  const matches = [];
+  const covered = new Set();
+
+  const coverTokens = (index, length) => {
+    for (let offset = 0; offset < length; offset++) {
+      covered.add(index + offset);
+    }
+  };
+
+  if (matcher.phrases.size > 0) {
+    for (let index = 0; index < tokens.length; index++) {
+      const hit = matchPhrase(matcher, tokens, index);
+      if (!hit) continue;
+
+      const last = tokens[index + hit.length - 1];
+      matches.push(createMatch(hit, tokens[index], last));
+      coverTokens(index, hit.length);
+      index += hit.length - 1;
+    }
+  }
+
+  for (let index = 0; index < tokens.length; index++) {
+    const hit = covered.has(index) ? null : matchSplitWord(matcher, tokens, index, covered);
+    if (!hit) continue;
+
+    matches.push(createMatch(hit, tokens[index], tokens[index + hit.length - 1]));
+    coverTokens(index, hit.length);
+    index += hit.length - 1;
+  }
+
+  tokens.forEach((token, index) => {
+    if (covered.has(index)) return;
+
+    const hits = token.unspaced
+      ? matchDictionary(matcher, token.text)
+      : matchSpacedWord(matcher, token.text);
+    if (hits.length === 0 && token.variants && !matcher.allowed.has(token.text)) {
+      hits.push(...matchVariants(matcher, token));
+    }
+
+    for (const hit of hits) {
+      const duration = token.end - token.start;
+      const match = createMatch(hit, {
+        ...token,
+        start: token.start + duration * hit.offset / token.text.length,
+        end: token.start + duration * (hit.offset + hit.text.length) / token.text.length
+      });
+      // A hit inside a longer word records which of the word's letters it covers
+      if (!token.wholeWord) {
+        match.letters = { from: token.offset + hit.offset, to: token.offset + hit.offset + hit.text.length };
+      }
+      matches.push(match);
+    }
+  });
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+// The transcript as a stream of segments, each with its share of its word's time
+function tokenizeTimedWords(timedWords, options) {
+  const tokens = [];
+
+  timedWords.forEach((timedWord, position) => {
+    const { segments, length } = segmentWord(timedWord.word, options);
+    const duration = timedWord.end - timedWord.start;
+
+    for (const segment of segments) {
+      tokens.push({
+        text: segment.text,
+        unspaced: segment.unspaced,
+        offset: segment.offset,
+        wholeWord: segments.length === 1 && !segment.unspaced,
+        raw: segment.raw,
+        variants: segment.variants,
+        position,
+        start: timedWord.start + duration * segment.offset / length,
+        end: timedWord.start + duration * (segment.offset + segment.text.length) / length
+      });
+    }
+  });
+
+  return tokens;
+}
+
+function createMatch(hit, first, last = first) {
+  return {
+    word: hit.word ?? hit.text,
+    position: first.position,
+    endPosition: last.position,
+    start: first.start,
+    end: last.end,
+    entry: hit.entry,
+    rule: hit.rule,
+    method: hit.method,
+    distance: hit.distance,
+    quality: Math.round(hit.quality * 100) / 100,
+    severity: hit.severity,
+    category: hit.category
+  };
+}
+
+// A hit as made by method, distance edits away from its entry
+function scoreHit(hit, method, distance = 0) {
+  return { ...hit, method, distance, quality: MATCH_QUALITY[method] };
+}
+
+// Longest phrase whose words follow one another from tokens[index]. A prefix
+// rule lets the last word carry an ending ("hijos de putas").
+function matchPhrase(matcher, tokens, index) {
+  const candidates = matcher.phrases.get(tokens[index].text);
+  if (!candidates) return null;
+
+  let best = null;
+  for (const phrase of candidates) {
+    if (best && best.length >= phrase.words.length) continue;
+
+    const matched = phrase.words.every((word, offset) => {
+      const token = tokens[index + offset];
+      if (!token || token.unspaced) return false;
+      const isLast = offset === phrase.words.length - 1;
+      return token.text === word || (isLast && phrase.rule === 'prefix' && token.text.startsWith(word));
+    });
+
+    if (matched) {
+      best = {
+        ...scoreHit(phrase, 'phrase'),
+        text: tokens.slice(index, index + phrase.words.length).map(token => token.text).join(' '),
+        length: phrase.words.length
+      };
+    }
+  }
+  return best;
+}
+
+// A word spelled out one letter per word ("f u c k") from tokens[index]:
+// the longest run of single-letter tokens, joined, has to match on its own
+function matchSplitWord(matcher, tokens, index, covered) {
+  let length = 0;
+  while (
+    index + length < tokens.length &&
+    !covered.has(index + length) &&
+    !tokens[index + length].unspaced &&
+    tokens[index + length].text.length === 1
+  ) {
+    length++;
+  }
+  if (length < SPLIT_WORD_MIN_LETTERS) return null;
+
+  const parts = tokens.slice(index, index + length);
+  const [hit] = matchSpacedWord(matcher, parts.map(token => token.text).join(''));
+  return hit
+    ? { ...hit, method: 'split', quality: hit.quality * MATCH_QUALITY.split, word: parts.map(token => token.text).join(' '), length }
+    : null;
+}
+
+// Obfuscated readings of a token. A hit covers the whole token and reports
+// the word as written.
+function matchVariants(matcher, token) {
+  for (const variant of token.variants) {
+    const hit = variant.includes(WILDCARD)
+      ? maskedEntry(matcher, variant)
+      : matchSpacedWord(matcher, variant)[0];
+    if (hit) {
+      const method = variant.includes(WILDCARD) ? 'masked' : 'obfuscated';
+      return [{ ...hit, method, quality: hit.quality * MATCH_QUALITY[method], text: token.text, word: token.raw, offset: 0 }];
+    }
+  }
+  return [];
+}
+
+// An entry the masked word could spell: exact and fuzzy entries of the same
+// length, prefix and substring entries at the start of the word. Masks may
+// hide at most half the word, and none may fall outside the entry.
+function maskedEntry(matcher, pattern) {
+  const masked = [...pattern].filter(character => character === WILDCARD).length;
+  if (masked * 2 > pattern.length) return null;
+
+  const fits = entry => entry.length <= pattern.length &&
+    !pattern.slice(entry.length).includes(WILDCARD) &&
+    [...entry].every((character, i) => pattern[i] === WILDCARD || pattern[i] === character);
+
+  for (const [entry, info] of matcher.exact) {
+    if (entry.length === pattern.length && fits(entry)) {
+      return scoreHit({ entry, ...entryInfo(info) }, 'exact');
+    }
+  }
+  for (const [entry, info] of matcher.partial) {
+    if (fits(entry)) {
+      return scoreHit({ entry, ...entryInfo(info) }, entry.length === pattern.length ? 'exact' : info.match);
+    }
+  }
+  return null;
+}
+
+function matchSpacedWord(matcher, word) {
+  if (matcher.allowed.has(word)) return [];
+
+  const hit = matcher.exact.has(word)
+    ? scoreHit({ entry: word, ...entryInfo(matcher.exact.get(word)) }, 'exact')
+    : partialEntry(matcher, word) || nearEntry(matcher, word);
+
+  return hit ? [{ ...hit, text: word, offset: 0 }] : [];
+}
+
+function entryInfo({ match, severity, category }) {
+  return { rule: match, severity, category };
+}
+
+// Forward maximum matching: at each position take the longest list or
+// allowlist word that starts there. An allowlisted word is skipped whole, so
+// it shields the entries inside it ("ばかり" hides "ばか").
+function matchDictionary(matcher, run) {
+  const hits = [];
+  let position = 0;
+
+  while (position < run.length) {
+    let length = Math.min(matcher.longestDictionaryWord, run.length - position);
+    for (; length > 0; length--) {
+      const candidate = run.substr(position, length);
+      if (matcher.dictionary.has(candidate)) {
+        const info = matcher.dictionary.get(candidate);
+        if (info) {
+          hits.push({ ...scoreHit({ entry: candidate, ...entryInfo(info) }, 'exact'), text: candidate, offset: position });
+        }
+        break;
+      }
+    }
+    position += Math.max(length, 1);
+  }
+
+  return hits;
+}
+
+// Prefix and substring entries in one automaton pass. Results are reported by
+// the index of the entry's last character, so a prefix hit ends at length - 1.
+function partialEntry(matcher, word) {
+  if (matcher.automaton === null) return null;
+
+  for (const [endIndex, entries] of matcher.automaton.search(word)) {
+    for (const entry of entries) {
+      const info = matcher.partial.get(entry);
+      if (info.match === 'substring' || endIndex === entry.length - 1) {
+        return scoreHit({ entry, ...entryInfo(info) }, entry === word ? 'exact' : info.match);
+      }
+    }
+  }
+  return null;
+}
+
+// Fuzzy pass: Levenshtein distance 1 to a fuzzy entry, i.e. the word is the
+// entry minus one character, plus one character, or with one character changed
+function nearEntry(matcher, word) {
+  if (word.length < FUZZY_MIN_LENGTH - 1) return null;
+
+  const removed = matcher.deletions.get(word);
+  if (removed) {
+    return scoreHit({ entry: removed, ...entryInfo(matcher.exact.get(removed)) }, 'fuzzy', 1);
+  }
+
+  for (let i = 0; i < word.length; i++) {
+    const before = word.slice(0, i);
+    const after = word.slice(i + 1);
+    const entry = matcher.substitutions.get(before + WILDCARD + after)
+      || (matcher.fuzzy.has(before + after) ? before + after : null);
+    if (entry) {
+      return scoreHit({ entry, ...entryInfo(matcher.exact.get(entry)) }, 'fuzzy', 1);
+    }
+  }
+  return null;
+}
+
+// Mask the matched words of a timed transcript. Each word is changed only
+// where a match covers it: whole words (trimmed of surrounding punctuation)
+// for spaced matches, the covered letters for hits inside a longer word. A
+// match across several words is masked as one: first_letter keeps only the
+// first word's first letter and censored leaves a single "[censored]". Returns
+// the words with their original and cleaned text side by side, and both
+// transcripts joined.
+export function censorTranscript(timedWords, matches, maskStyle = DEFAULT_MASK_STYLE) {
+  const masks = timedWords.map(() => []);
+
+  for (const match of matches) {
+    if (match.letters) {
+      masks[match.position].push({ ...match.letters, first: true });
+      continue;
+    }
+    for (let position = match.position; position <= match.endPosition; position++) {
+      masks[position].push({ from: 0, to: Infinity, first: position === match.position });
+    }
+  }
+
+  const words = timedWords.map((timedWord, index) => ({
+    original: timedWord.word,
+    cleaned: masks[index].length > 0 ? maskWord(timedWord.word, masks[index], maskStyle) : timedWord.word,
+    start: timedWord.start,
+    end: timedWord.end,
+    censored: masks[index].length > 0
+  }));
+
+  return {
+    original: joinTranscriptWords(words.map(word => word.original)),
+    cleaned: joinTranscriptWords(words.map(word => word.cleaned)),
+    words
+  };
+}
+
+// Apply masks to one word. Letter offsets count the word's letters after
+// normalization, the way segmentWord does, so they are walked character by
+// character over the original spelling.
+function maskWord(word, masks, maskStyle) {
+  const characters = [...word];
+  const { raw } = deobfuscateWord(word);
+  const coreStart = raw ? word.indexOf(raw) : 0;
+  const coreEnd = coreStart + raw.length;
+
+  let letterIndex = 0;
+  let codeUnitIndex = 0;
+  const masked = characters.map(character => {
+    const at = codeUnitIndex;
+    const letters = normalizeText(character).replace(NON_WORD_CHARACTERS, '').length;
+    codeUnitIndex += character.length;
+
+    const mask = masks.find(({ from, to }) => to === Infinity
+      ? at >= coreStart && at < coreEnd
+      : letters > 0 && letterIndex >= from && letterIndex < to);
+    const isFirst = mask && (mask.to === Infinity ? at === coreStart : letterIndex === mask.from);
+    letterIndex += letters;
+
+    if (!mask) return character;
+    if (maskStyle === 'censored') {
+      if (isFirst && mask.first) return CENSORED_PLACEHOLDER;
+      return '';
+    }
+    if (maskStyle === 'first_letter' && isFirst && mask.first) return character;
+    return /\s/.test(character) ? character : '*';
+  });
+
+  return masked.join('');
+}
+
+// Words are joined with spaces, except before closing punctuation left over
+// from a censored phrase and between words of a script written without them
+export function joinTranscriptWords(texts) {
+  const unspacedEdge = character => UNSPACED_WORD.test(character) || CJK_PUNCTUATION.test(character);
+
+  return texts.filter(Boolean).reduce((text, word) => {
+    if (!text) return word;
+    const attached = /^[,.!?;:…)\]}]/.test(word) || (unspacedEdge(text.slice(-1)) && unspacedEdge(word[0]));
+    return attached ? text + word : `${text} ${word}`;
+  }, '');
+}
@@ -0,0 +1,240 @@
+/**
+ * FWEA-I censor segment files
+ * Censor segments ({word, start, end} in seconds) written to and read from
+ * the files DAWs exchange: a CMX3600-style EDL, plain CSV, an Audacity label
+ * track and a Reaper region list (the Region/Marker Manager's CSV).
+ */
+
+// EDL timecode rates. 30 is non-drop; drop-frame EDLs (FCM: DROP FRAME) are
+// read at 29.97 whatever rate is given.
+export const EDL_FRAME_RATES = [24, 25, 30];
+export const DEFAULT_EDL_FRAME_RATE = 30;
+
+const EDL_EVENT = /^\d{3,6}\s+\S+\s+\S+\s+\S+(?:\s+\d+)?\s+(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})\s+(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})\s+(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})\s+(\d{2}[:;]\d{2}[:;]\d{2}[:;]\d{2})\s*$/;
+const EDL_NOTE = /^\*\s*(?:COMMENT|LOC|FROM CLIP NAME)\s*:?\s*(.*)$/i;
+const REAPER_HEADER = /^#,\s*Name\s*,/i;
+
+// Render segments as edl, csv, audacity or reaper. title names the EDL; frameRate
+// is the EDL's timecode rate.
+export function formatSegments(segments, format, { title = 'FWEA-I Censor Segments', frameRate = DEFAULT_EDL_FRAME_RATE } = {}) {
+  if (format === 'edl') {
+    // One audio event per segment, source and record times the same, so the
+    // events land where they play in the track. Events last at least a frame.
+    const events = segments.map((segment, index) => {
+      const startFrame = Math.max(0, Math.round(segment.start * frameRate));
+      const start = formatTimecode(startFrame, frameRate);
+      const end = formatTimecode(Math.max(startFrame + 1, Math.round(segment.end * frameRate)), frameRate);
+      const note = segment.word ? `* COMMENT: ${segment.word}\n` : '';
+      return `${String(index + 1).padStart(3, '0')}  AX       AA     C        ${start} ${end} ${start} ${end}\n${note}`;
+    });
+    return `TITLE: ${title.replace(/[\r\n]+/g, ' ')}\nFCM: NON-DROP FRAME\n\n${events.join('\n')}`;
+  }
+
+  if (format === 'csv') {
+    const columns = ['start', 'end', 'word', 'severity', 'category', 'list'];
+    const rows = segments.map(segment => columns.map(column =>
+      column === 'start' || column === 'end' ? formatSeconds(segment[column]) : csvField(segment[column] ?? '')
+    ).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+
+  if (format === 'audacity') {
+    // start<TAB>end<TAB>label, the format File > Import > Labels reads
+    return segments.map(segment =>
+      `${formatSeconds(segment.start)}\t${formatSeconds(segment.end)}\t${(segment.word || '').replace(/[\t\r\n]+/g, ' ')}\n`
+    ).join('');
+  }
+
+  // Reaper regions, with times in minutes:seconds
+  const rows = segments.map((segment, index) => [
+    `R${index + 1}`,
+    csvField(segment.word || ''),
+    formatClockTime(segment.start),
+    formatClockTime(segment.end),
+    formatClockTime(segment.end - segment.start)
+  ].join(','));
+  return ['#,Name,Start,End,Length', ...rows].join('\n') + '\n';
+}
+
+// Work out a segment file's format from its name and contents
+export function detectSegmentFormat(text, fileName = '') {
+  const firstLine = text.replace(/^﻿/, '').split(/\r?\n/).find(line => line.trim()) || '';
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'edl' || /^(TITLE|FCM)\s*:/i.test(firstLine) || EDL_EVENT.test(firstLine.trim())) return 'edl';
+  if (REAPER_HEADER.test(firstLine)) return 'reaper';
+  if (firstLine.includes('\t') || extension === 'txt') return 'audacity';
+  return 'csv';
+}
+
+// Read segments from an edl, csv, audacity or reaper file. Returns
+// {segments: [{word, start, end}], errors: [messages naming the line or
+// CSV row]}; lines that are not segments (headers, notes, point markers) are
+// skipped silently.
+export function parseSegments(text, format, { frameRate = DEFAULT_EDL_FRAME_RATE } = {}) {
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+  const segments = [];
+  const errors = [];
+  const add = (where, word, start, end) => {
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      errors.push(`${where}: unreadable time`);
+      return null;
+    }
+    if (start < 0 || end <= start) {
+      errors.push(`${where}: end must be after start`);
+      return null;
+    }
+    const segment = { word, start, end };
+    segments.push(segment);
+    return segment;
+  };
+
+  if (format === 'edl') {
+    const dropFrame = lines.some(line => /^FCM:\s*DROP FRAME/i.test(line.trim()));
+    let event = null;
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const match = EDL_EVENT.exec(line);
+      if (match) {
+        // Record in and out place the event on the timeline
+        event = add(`Line ${index + 1}`, '', parseTimecode(match[3], frameRate, dropFrame), parseTimecode(match[4], frameRate, dropFrame));
+        return;
+      }
+      // The first comment or clip name under an event labels it
+      const note = EDL_NOTE.exec(line);
+      if (note && event && !event.word) {
+        event.word = note[1].trim();
+      }
+    });
+    return { segments, errors };
+  }
+
+  if (format === 'audacity') {
+    lines.forEach((line, index) => {
+      // Spectral selection lines (starting with a backslash) follow their label
+      if (!line.trim() || line.startsWith('\\')) return;
+      const [start, end, ...label] = line.split('\t');
+      add(`Line ${index + 1}`, label.join(' ').trim(), parseTime(start), parseTime(end));
+    });
+    return { segments, errors };
+  }
+
+  const rows = parseCsv(lines.join('\n'));
+  const header = (rows.shift() || []).map(column => column.trim().toLowerCase());
+
+  if (format === 'reaper') {
+    const [id, name, start, end] = ['#', 'name', 'start', 'end'].map(column => header.indexOf(column));
+    rows.forEach((row, index) => {
+      // Markers (M1, ...) are points; only regions (R1, ...) have a span
+      if (!/^R\d+$/i.test((row[id] || '').trim())) return;
+      add(`Row ${index + 1}`, readCsvText(row[name]), parseTime(row[start]), parseTime(row[end]));
+    });
+    return { segments, errors };
+  }
+
+  const start = header.indexOf('start');
+  const end = header.indexOf('end');
+  const word = ['word', 'label', 'name'].map(column => header.indexOf(column)).find(column => column >= 0);
+  if (start < 0 || end < 0) {
+    return { segments, errors: ['CSV needs start and end columns'] };
+  }
+  rows.forEach((row, index) => {
+    add(`Row ${index + 1}`, word !== undefined ? readCsvText(row[word]) : '', parseTime(row[start]), parseTime(row[end]));
+  });
+  return { segments, errors };
+}
+
+// Seconds, or [hh:]mm:ss(.fff) as Reaper and spreadsheets write them
+function parseTime(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return NaN;
+  if (!text.includes(':')) return Number(text);
+
+  const parts = text.split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(?:\.\d+)?$/.test(part))) return NaN;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function parseTimecode(timecode, frameRate, dropFrame) {
+  const [hours, minutes, seconds, frames] = timecode.split(/[:;]/).map(Number);
+  if (!dropFrame) {
+    return hours * 3600 + minutes * 60 + seconds + frames / frameRate;
+  }
+
+  // 29.97 drop frame: frame numbers 0 and 1 are skipped each minute except
+  // every tenth, so the label runs ahead of a plain 30 fps count
+  const totalMinutes = hours * 60 + minutes;
+  const frameNumber = (hours * 3600 + minutes * 60 + seconds) * 30 + frames -
+    2 * (totalMinutes - Math.floor(totalMinutes / 10));
+  return frameNumber * 1001 / 30000;
+}
+
+// HH:MM:SS:FF for a frame count at a whole frame rate
+function formatTimecode(totalFrames, frameRate) {
+  const pad = value => String(value).padStart(2, '0');
+  const totalSeconds = Math.floor(totalFrames / frameRate);
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:` +
+    `${pad(totalSeconds % 60)}:${pad(totalFrames % frameRate)}`;
+}
+
+// m:ss.fff
+function formatClockTime(seconds) {
+  const milliseconds = Math.max(0, Math.round(seconds * 1000));
+  return `${Math.floor(milliseconds / 60000)}:${String(Math.floor(milliseconds / 1000) % 60).padStart(2, '0')}.` +
+    String(milliseconds % 1000).padStart(3, '0');
+}
+
+function formatSeconds(seconds) {
+  return Math.max(0, seconds).toFixed(6);
+}
+
+// Spreadsheets run a cell starting with =, +, - or @ (or a tab or carriage
+// return before one) as a formula, so those get a leading apostrophe, which
+// Excel and Sheets show as text and parseSegments drops again
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  const text = FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function readCsvText(value) {
+  const text = (value || '').trim();
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1).trim() : text;
+}
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows.push([...row, field.replace(/\r$/, '')]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field.replace(/\r$/, '')]);
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
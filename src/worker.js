@@ -6,6 +6,29 @@
 
 // Import Stripe
 import Stripe from 'stripe';
+import {
+  CLEAN_LEVELS,
+  DEFAULT_CLEAN_LEVEL,
+  DEFAULT_MASK_STYLE,
+  FOLD_DIACRITICS_LANGUAGES,
+  MASK_STYLES,
+  censorTranscript,
+  compileProfanityMatcher,
+  joinTranscriptWords,
+  normalizeProfanityEntry,
+  normalizeText,
+  filterMatchesByCleanLevel,
+  findProfanityInText,
+  toMatchForm
+} from './profanity.mjs';
+import { MAX_LYRIC_WORDS, alignLyrics, getLyricWords, parseLyrics } from './lyrics.mjs';
+import {
+  DEFAULT_EDL_FRAME_RATE,
+  EDL_FRAME_RATES,
+  detectSegmentFormat,
+  formatSegments,
+  parseSegments
+} from './segments.mjs';
 
 // Configuration with actual resource IDs
 const CONFIG = {
@@ -29,7 +52,90 @@ const CONFIG = {
     dj_pro: 320,
     studio_elite: 320,
     day_pass: 256
-  }
+  },
+  // Output formats by file extension, with the per-format and per-plan limits
+  // mirrored from OUTPUT_FORMATS, SAMPLE_RATES and QUALITY_SETTINGS on the
+  // encoder (which has the final say)
+  OUTPUT_FORMATS: {
+    mp3: { contentType: 'audio/mpeg', lossless: false, maxSampleRate: 48000 },
+    wav: { contentType: 'audio/wav', lossless: true, bitDepths: [16, 24, 32] },
+    flac: { contentType: 'audio/flac', lossless: true, bitDepths: [16, 24] },
+    m4a: { contentType: 'audio/mp4', lossless: false },
+    aac: { contentType: 'audio/aac', lossless: false },
+    ogg: { contentType: 'audio/ogg', lossless: false }
+  },
+  SAMPLE_RATES: [22050, 32000, 44100, 48000, 88200, 96000],
+  QUALITY_SETTINGS: {
+    single_track: {
+      formats: ['mp3', 'm4a', 'aac', 'ogg'], maxSampleRate: 48000, bitDepths: [16],
+      masteringPresets: ['bypass', 'classic', 'streaming']
+    },
+    dj_pro: {
+      formats: ['mp3', 'm4a', 'aac', 'ogg', 'wav', 'flac'], maxSampleRate: 48000, bitDepths: [16, 24],
+      masteringPresets: ['bypass', 'classic', 'streaming', 'broadcast']
+    },
+    studio_elite: {
+      formats: ['mp3', 'm4a', 'aac', 'ogg', 'wav', 'flac'], maxSampleRate: 96000, bitDepths: [16, 24, 32],
+      masteringPresets: ['bypass', 'classic', 'streaming', 'broadcast']
+    },
+    day_pass: {
+      formats: ['mp3', 'm4a', 'aac', 'ogg'], maxSampleRate: 48000, bitDepths: [16],
+      masteringPresets: ['bypass', 'classic', 'streaming']
+    }
+  },
+  PREVIEW_FADE_SECONDS: 2,
+  // Languages with a profanity list in KV (lists/{lang}.json)
+  PROFANITY_LANGUAGES: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'zh', 'ja', 'ko'],
+  // Customer word lists (per subscription, merged with the KV lists)
+  CUSTOM_WORD_LISTS: {
+    types: ['block', 'allow'],
+    maxLists: 20,
+    maxWordsPerList: 500,
+    maxNameLength: 100
+  },
+  // Global list administration (X-FWEA-Admin header, ADMIN_API_TOKEN secret)
+  ADMIN_LISTS: {
+    kinds: { list: 'json', allow: 'allow.json' }, // KV key lists/{lang}.{suffix}
+    maxEntries: 5000,
+    historyLimit: 50
+  },
+  // /transcript formats; cues break on pauses, length and sentence ends
+  TRANSCRIPT_FORMATS: {
+    json: { contentType: 'application/json' },
+    srt: { contentType: 'application/x-subrip' },
+    vtt: { contentType: 'text/vtt' },
+    lrc: { contentType: 'text/plain' }
+  },
+  TRANSCRIPT_CUE: { maxCharacters: 42, maxSeconds: 6, maxGapSeconds: 1 },
+  // Censor segment files for DAWs, exported by /segments and accepted on upload
+  SEGMENT_FORMATS: {
+    edl: { contentType: 'text/plain', extension: 'edl' },
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    audacity: { contentType: 'text/plain', extension: 'txt' },
+    reaper: { contentType: 'text/csv', extension: 'csv' }
+  },
+  SEGMENT_FILE: { maxSize: 1024 * 1024, maxSegments: 2000 },
+  MAX_REVIEW_EDITS: 500,
+  // Detections less sure than this (match quality, times the Whisper word
+  // probability where the model gives one) are left unmuted and listed as
+  // needing review; uploads may set confidenceThreshold
+  DEFAULT_CONFIDENCE_THRESHOLD: 0.5,
+  MAX_LYRICS_SIZE: 64 * 1024, // 64KB of plain text or LRC
+  CENSOR_MODES: ['mute', 'bleep', 'reverse', 'vocal_dip', 'vocal_remove', 'sound_effect'],
+  // 10 minutes; with transcription it has to fit in a queue consumer's
+  // 15 minute wall-clock limit
+  ENCODER_TIMEOUT_MS: 10 * 60 * 1000,
+  ENCODER_POLL_INTERVAL_MS: 5000,
+  // Overall percent range of each processing stage (mirrors the encoder)
+  PROGRESS_STAGES: {
+    upload: [0, 10],
+    transcription: [10, 40],
+    detection: [40, 50],
+    render: [50, 90],
+    preview: [90, 100]
+  },
+  PROGRESS_POLL_INTERVAL_MS: 1000,
+  PROGRESS_STREAM_MAX_MS: 15 * 60 * 1000 // SSE clients reconnect after this
 };
 
 // Main Worker Handler
@@ -54,7 +160,7 @@ export default {
           return handleHealth(env);
 
         case '/process-audio':
-          return handleAudioUpload(request, env, ctx);
+          return handleAudioUpload(request, env);
 
         case '/create-payment':
           return handleCreatePayment(request, env);
@@ -65,9 +171,39 @@ export default {
         case '/download':
           return handleDownload(request, env);
 
+        case '/transcript':
+          return handleTranscript(request, env);
+
+        case '/segments':
+          return handleSegmentsExport(request, env);
+
+        case '/report':
+          return handleComplianceReport(request, env);
+
+        case '/review':
+          return handleReview(request, env);
+
+        case '/review/render':
+          return handleReviewRender(request, env);
+
         case '/status':
           return handleProcessingStatus(request, env);
 
+        case '/progress':
+          return handleProgressStream(request, env);
+
+        case '/word-lists':
+          return handleWordLists(request, env);
+
+        case '/admin/lists':
+          return handleAdminLists(request, env);
+
+        case '/admin/lists/history':
+          return handleAdminListHistory(request, env);
+
+        case '/admin/lists/rollback':
+          return handleAdminListRollback(request, env);
+
         default:
           return new Response('Not Found', { status: 404 });
       }
@@ -76,9 +212,42 @@ export default {
       console.error('Worker Error:', error);
       return createErrorResponse(error.message, 500);
     }
+  },
+
+  // Processing runs from the queue rather than waitUntil: a consumer may run
+  // for minutes, long enough to wait out the encoder, where waitUntil work is
+  // cancelled shortly after the response is sent
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      await runProcessingTask(message.body, env);
+      message.ack();
+    }
   }
 };
 
+// Queued work: a new upload to transcribe, detect and render, or a reviewed
+// process to render. Both mark the process failed themselves on error.
+async function runProcessingTask(task, env) {
+  if (task.type === 'render_reviewed') {
+    return renderReviewedProcess(task.processId, env);
+  }
+  if (task.type === 'process') {
+    return processAudioFile(task.processId, task.originalKey, task.planType, env, task.options);
+  }
+  console.warn(`Ignoring unknown processing task: ${task.type}`);
+}
+
+// Queue a processing task. A process that cannot be queued is marked failed
+// rather than left processing.
+async function enqueueProcessing(env, task) {
+  try {
+    await env.TRANSCODE_QUEUE.send(task);
+  } catch (error) {
+    await markProcessFailed(env, task.processId, error);
+    throw error;
+  }
+}
+
 // CORS Handler
 function handleCORS() {
   return new Response(null, {
@@ -86,7 +255,7 @@ function handleCORS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-FWEA-Admin, X-FWEA-Admin-User',
       'Access-Control-Max-Age': '86400'
     }
   });
@@ -103,7 +272,8 @@ async function handleHealth(env) {
       r2: !!env.AUDIO_STORAGE,
       d1: !!env.DB,
       ai: !!env.AI,
-      kv: !!env.PROFANITY_LISTS
+      kv: !!env.PROFANITY_LISTS,
+      encoder: !!env.ENCODER_URL
     }
   };
 
@@ -111,7 +281,7 @@ async function handleHealth(env) {
 }
 
 // Audio Upload Handler
-async function handleAudioUpload(request, env, ctx) {
+async function handleAudioUpload(request, env) {
   if (request.method !== 'POST') {
     return createErrorResponse('Method not allowed', 405);
   }
@@ -132,6 +302,63 @@ async function handleAudioUpload(request, env, ctx) {
       return createErrorResponse(validation.error, 400);
     }
 
+    // Validate censor settings
+    const censorValidation = parseCensorSettings(formData);
+    if (!censorValidation.valid) {
+      return createErrorResponse(censorValidation.error, 400);
+    }
+
+    // Validate output format settings
+    const outputValidation = parseOutputSettings(formData, planType, audioFile.name);
+    if (!outputValidation.valid) {
+      return createErrorResponse(outputValidation.error, 400);
+    }
+
+    // Validate mastering settings
+    const masteringValidation = parseMasteringSettings(formData, planType);
+    if (!masteringValidation.valid) {
+      return createErrorResponse(masteringValidation.error, 400);
+    }
+
+    // Validate clean level profile
+    const cleanLevelValidation = parseCleanLevel(formData);
+    if (!cleanLevelValidation.valid) {
+      return createErrorResponse(cleanLevelValidation.error, 400);
+    }
+
+    // Validate transcript mask style
+    const maskStyle = formData.get('maskStyle') || DEFAULT_MASK_STYLE;
+    if (!MASK_STYLES.includes(maskStyle)) {
+      return createErrorResponse(`Unsupported mask style: ${maskStyle}. Supported: ${MASK_STYLES.join(', ')}`, 400);
+    }
+
+    // Validate extra detection languages
+    const languagesValidation = parseDetectionLanguages(formData);
+    if (!languagesValidation.valid) {
+      return createErrorResponse(languagesValidation.error, 400);
+    }
+
+    // Validate the confidence a detection needs to be muted automatically
+    const thresholdValidation = parseConfidenceThreshold(formData);
+    if (!thresholdValidation.valid) {
+      return createErrorResponse(thresholdValidation.error, 400);
+    }
+
+    // Validate optional lyrics (text field or .txt/.lrc file)
+    const lyricsValidation = await parseLyricsUpload(formData);
+    if (!lyricsValidation.valid) {
+      return createErrorResponse(lyricsValidation.error, 400);
+    }
+
+    // Validate an optional segment file, which replaces detection
+    const segmentsValidation = await parseSegmentsUpload(formData);
+    if (!segmentsValidation.valid) {
+      return createErrorResponse(segmentsValidation.error, 400);
+    }
+    if (segmentsValidation.segments && lyricsValidation.lyricsText) {
+      return createErrorResponse('Lyrics cannot be combined with a segment file', 400);
+    }
+
     // Verify payment/subscription
     const paymentValid = await verifyPayment(sessionId, planType, env);
     if (!paymentValid) {
@@ -147,15 +374,77 @@ async function handleAudioUpload(request, env, ctx) {
       httpMetadata: { contentType: audioFile.type }
     });
 
-    // Start async processing
-    ctx.waitUntil(processAudioFile(processId, originalKey, planType, env));
+    // Store the custom censor sound alongside the original
+    const censorSound = formData.get('censorSound');
+    const censor = { ...censorValidation.censor };
+    if (censor.mode === 'sound_effect') {
+      censor.soundKey = `uploads/${processId}/censor_sound_${censorSound.name}`;
+      await env.AUDIO_STORAGE.put(censor.soundKey, censorSound, {
+        httpMetadata: { contentType: censorSound.type }
+      });
+    }
+
+    // Store the lyrics for alignment against the transcript
+    let lyricsKey = null;
+    if (lyricsValidation.lyricsText) {
+      lyricsKey = `uploads/${processId}/lyrics.txt`;
+      await env.AUDIO_STORAGE.put(lyricsKey, lyricsValidation.lyricsText, {
+        httpMetadata: { contentType: 'text/plain; charset=utf-8' }
+      });
+    }
+
+    // Store imported segments; detection is skipped for them
+    let segmentsKey = null;
+    if (segmentsValidation.segments) {
+      segmentsKey = `uploads/${processId}/segments.json`;
+      await env.AUDIO_STORAGE.put(segmentsKey, JSON.stringify(segmentsValidation.segments), {
+        httpMetadata: { contentType: 'application/json' }
+      });
+    }
+
+    const processingOptions = {
+      censor,
+      output: outputValidation.output,
+      mastering: masteringValidation.mastering,
+      cleanLevel: cleanLevelValidation.cleanLevel,
+      languages: languagesValidation.languages,
+      maskStyle,
+      confidenceThreshold: thresholdValidation.confidenceThreshold,
+      lyricsKey,
+      segmentsKey,
+      segmentsFormat: segmentsValidation.format || null,
+      // Pause after detection so the flagged segments can be reviewed
+      review: ['true', '1'].includes(formData.get('review'))
+    };
 
-    // Store processing record
+    // Store processing record before processing starts reporting progress on it
     await env.DB.prepare(`
       INSERT INTO processing_history 
-      (process_id, original_filename, file_size, plan_type, status, created_at)
-      VALUES (?, ?, ?, ?, 'processing', ?)
-    `).bind(processId, audioFile.name, audioFile.size, planType, Date.now()).run();
+      (process_id, stripe_session_id, original_filename, file_size, plan_type, status, processing_options,
+       clean_level, upload_key, stage, stage_progress, progress, created_at)
+      VALUES (?, ?, ?, ?, ?, 'processing', ?, ?, ?, 'upload', 100, ?, ?)
+    `).bind(
+      processId,
+      sessionId,
+      audioFile.name,
+      audioFile.size,
+      planType,
+      JSON.stringify(processingOptions),
+      processingOptions.cleanLevel,
+      originalKey,
+      CONFIG.PROGRESS_STAGES.upload[1],
+      Date.now()
+    ).run();
+
+    // Start async processing; the session picks the customer's word lists and
+    // is the encoder's per-client limit key
+    await enqueueProcessing(env, {
+      type: 'process',
+      processId,
+      originalKey,
+      planType,
+      options: { ...processingOptions, sessionId, clientId: sessionId }
+    });
 
     return createResponse({
       success: true,
@@ -171,7 +460,7 @@ async function handleAudioUpload(request, env, ctx) {
 }
 
 // Audio Processing Function
-async function processAudioFile(processId, originalKey, planType, env) {
+async function processAudioFile(processId, originalKey, planType, env, options = {}) {
   try {
     console.log(`Starting processing for ${processId}, plan: ${planType}`);
 
@@ -183,82 +472,461 @@ async function processAudioFile(processId, originalKey, planType, env) {
 
     const audioBuffer = await audioObject.arrayBuffer();
 
-    // Step 1: AI Transcription
-    const transcription = await transcribeAudio(audioBuffer, env);
-    console.log(`Transcription complete: ${transcription.text.length} characters`);
-
-    // Step 2: Multi-language Profanity Detection
-    const profanityResult = await detectProfanity(transcription.text, env);
-    console.log(`Profanity detection: ${profanityResult.wordsRemoved} words flagged`);
+    // Segments imported from a DAW replace transcription and detection
+    const detection = options.segmentsKey
+      ? await loadImportedSegments(options.segmentsKey, options.segmentsFormat, env)
+      : await transcribeAndDetect(processId, audioBuffer, env, options);
 
-    // Step 3: Clean Audio (simulate advanced processing)
-    const cleanedAudioBuffer = await cleanAudio(audioBuffer, profanityResult.timestamps);
+    if (options.review) {
+      await pauseForReview(processId, detection, env);
+      return;
+    }
 
-    // Step 4: Store cleaned audio
-    const cleanedKey = `full/${processId}/cleaned_${originalKey.split('/').pop()}`;
-    await env.AUDIO_STORAGE.put(cleanedKey, cleanedAudioBuffer, {
-      httpMetadata: { 
-        contentType: 'audio/mpeg',
-        cacheControl: 'max-age=3600'
-      }
+    await renderAndStore(processId, originalKey, planType, env, options, detection, {
+      audioBuffer,
+      contentType: audioObject.httpMetadata?.contentType
     });
 
-    // Step 5: Generate preview
-    const previewLength = CONFIG.PREVIEW_LENGTHS[planType];
-    const previewBuffer = await generatePreview(cleanedAudioBuffer, previewLength);
-    const previewKey = `previews/${processId}/preview_${originalKey.split('/').pop()}`;
+  } catch (error) {
+    console.error(`Processing failed for ${processId}:`, error);
+    await markProcessFailed(env, processId, error);
+  }
+}
 
-    await env.AUDIO_STORAGE.put(previewKey, previewBuffer, {
-      httpMetadata: { 
-        contentType: 'audio/mpeg',
-        cacheControl: 'max-age=1800'
-      }
-    });
+// Steps 1-2: transcribe, detect profanity and store the transcript. Returns
+// the detection renderAndStore and pauseForReview work from.
+async function transcribeAndDetect(processId, audioBuffer, env, options) {
+  // Step 1: AI Transcription
+  await updateProgress(env, processId, 'transcription', 0);
+  let transcription = await transcribeAudio(audioBuffer, env);
+  console.log(`Transcription complete: ${transcription.text.length} characters`);
+
+  // Step 1b: Detect on the uploaded lyrics, timed by the transcript
+  if (options.lyricsKey) {
+    transcription = await applyLyrics(processId, options.lyricsKey, transcription, env);
+  }
 
-    // Update database
-    await env.DB.prepare(`
-      UPDATE processing_history 
-      SET status = 'completed',
-          words_removed = ?,
-          detected_languages = ?,
-          preview_key = ?,
-          cleaned_key = ?,
-          completed_at = ?
-      WHERE process_id = ?
-    `).bind(
-      profanityResult.wordsRemoved,
-      JSON.stringify(transcription.languages),
-      previewKey,
-      cleanedKey,
-      Date.now(),
-      processId
-    ).run();
+  // Step 2: Multi-language Profanity Detection
+  await updateProgress(env, processId, 'detection', 0);
+  const customLists = await loadCustomWordLists(options.sessionId, env);
+  const confidenceThreshold = options.confidenceThreshold ?? CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
+  const profanityResult = await detectProfanity(
+    transcription,
+    env,
+    options.cleanLevel,
+    options.languages,
+    customLists,
+    options.maskStyle,
+    confidenceThreshold
+  );
+
+  // Original and cleaned transcript, aligned word by word for display
+  const transcriptKey = `transcripts/${processId}/transcript.json`;
+  await env.AUDIO_STORAGE.put(transcriptKey, JSON.stringify(profanityResult.transcript), {
+    httpMetadata: { contentType: 'application/json' }
+  });
+  console.log(`Profanity detection: ${profanityResult.wordsRemoved} words flagged, ${profanityResult.uncertain.length} uncertain`);
+
+  // Confident detections are muted; uncertain ones wait for someone to decide
+  await env.DB.prepare(`
+    UPDATE processing_history SET detection_confidence = ? WHERE process_id = ?
+  `).bind(JSON.stringify({
+    threshold: confidenceThreshold,
+    confident: profanityResult.timestamps.length,
+    uncertain: profanityResult.uncertain.map(describeMute)
+  }), processId).run();
+
+  return {
+    timestamps: profanityResult.timestamps,
+    uncertain: profanityResult.uncertain,
+    languages: transcription.languages,
+    duration: transcription.duration ?? null,
+    transcriptKey
+  };
+}
+
+// Segments from an uploaded EDL, CSV or label file, muted as given. There is
+// no transcript, and each segment's list names the file format.
+async function loadImportedSegments(segmentsKey, format, env) {
+  const segmentsObject = await env.AUDIO_STORAGE.get(segmentsKey);
+  if (!segmentsObject) {
+    throw new Error('Segment file not found');
+  }
+
+  const segments = await segmentsObject.json();
+  console.log(`Using ${segments.length} imported ${format} segments, skipping detection`);
+
+  return {
+    // Imported times are the ones to censor, so the encoder adds no padding
+    timestamps: segments.map(({ word, start, end }) => ({ word, start, end, exact: true, list: `import:${format}` })),
+    uncertain: [],
+    languages: [],
+    duration: null,
+    transcriptKey: null
+  };
+}
+
+// Align the uploaded lyrics to Whisper's timed words and record where the two
+// disagree. Returns a transcription of the lyric words plus the heard words
+// no lyric paired with, so detection follows what was written without
+// missing anything sung off the sheet.
+async function applyLyrics(processId, lyricsKey, transcription, env) {
+  const lyricsObject = await env.AUDIO_STORAGE.get(lyricsKey);
+  if (!lyricsObject) {
+    throw new Error('Lyrics file not found');
+  }
+
+  const lyrics = parseLyrics(await lyricsObject.text());
+  const alignment = alignLyrics(lyrics, getTimedWords(transcription), { duration: transcription.duration });
+  console.log(`Lyrics aligned: ${alignment.matched}/${alignment.lyricWords} words agree, ${alignment.disagreements.length} disagreements`);
+
+  await env.DB.prepare(`
+    UPDATE processing_history SET lyrics_alignment = ? WHERE process_id = ?
+  `).bind(JSON.stringify({
+    format: lyrics.format,
+    matched: alignment.matched,
+    lyricWords: alignment.lyricWords,
+    transcriptWords: alignment.transcriptWords,
+    disagreements: alignment.disagreements
+  }), processId).run();
+
+  // Words heard but not in the lyrics are still checked, so lyrics can only
+  // add detections
+  const words = [
+    ...alignment.words.map(({ word, start, end }) => ({ word, start, end })),
+    ...alignment.unpaired
+  ].sort((a, b) => a.start - b.start);
+  return {
+    ...transcription,
+    text: joinTranscriptWords(words.map(word => word.word)),
+    words,
+    segments: []
+  };
+}
+
+// Steps 3-5: render on the encoder, store the output and its preview, and
+// complete the record. detection holds the segments to mute; audio is the
+// upload when the caller already has it in memory.
+async function renderAndStore(processId, originalKey, planType, env, options, detection, audio = null) {
+  if (!audio) {
+    const audioObject = await env.AUDIO_STORAGE.get(originalKey);
+    if (!audioObject) {
+      throw new Error('Original file not found');
+    }
+    audio = { audioBuffer: await audioObject.arrayBuffer(), contentType: audioObject.httpMetadata?.contentType };
+  }
+
+  // Step 3: Clean Audio on the ffmpeg encoder
+  await updateProgress(env, processId, 'render', 0);
+  const originalName = originalKey.split('/').pop();
+  const cleaned = await cleanAudio(
+    processId,
+    audio.audioBuffer,
+    originalName,
+    audio.contentType,
+    detection.timestamps,
+    planType,
+    options,
+    env
+  );
+
+  // Step 4: Store cleaned audio under the extension of the rendered format
+  const cleanedName = `cleaned_${originalName.replace(/\.[^.]+$/, '')}.${cleaned.extension}`;
+  const cleanedKey = `full/${processId}/${cleanedName}`;
+  await env.AUDIO_STORAGE.put(cleanedKey, cleaned.audioBuffer, {
+    httpMetadata: { 
+      contentType: cleaned.contentType,
+      cacheControl: 'max-age=3600'
+    }
+  });
+
+  // Step 5: Store the encoder's preview, or build one if it had none
+  await updateProgress(env, processId, 'preview', 0);
+  const previewBuffer = cleaned.previewBuffer ||
+    await generatePreview(cleaned.audioBuffer, cleanedName, CONFIG.PREVIEW_LENGTHS[planType], planType, env);
+  const previewKey = `previews/${processId}/${cleanedName.replace(/^cleaned_/, 'preview_')}`;
+
+  await env.AUDIO_STORAGE.put(previewKey, previewBuffer, {
+    httpMetadata: { 
+      contentType: cleaned.contentType,
+      cacheControl: 'max-age=1800'
+    }
+  });
+
+  // Step 6: Compliance report, kept with the job as proof of the edit
+  const completedAt = Date.now();
+  const report = await buildComplianceReport(processId, planType, options, detection, {
+    original: { key: originalKey, audioBuffer: audio.audioBuffer },
+    cleaned: { key: cleanedKey, audioBuffer: cleaned.audioBuffer, audioInfo: cleaned.audioInfo, extension: cleaned.extension }
+  }, completedAt, env);
+  const reportKey = `reports/${processId}/report.json`;
+  await env.AUDIO_STORAGE.put(reportKey, JSON.stringify(report, null, 2), {
+    httpMetadata: { contentType: 'application/json' }
+  });
+
+  // Update database
+  await env.DB.prepare(`
+    UPDATE processing_history 
+    SET status = 'completed',
+        stage = 'preview',
+        stage_progress = 100,
+        progress = 100,
+        words_removed = ?,
+        detected_languages = ?,
+        profanity_timestamps = ?,
+        duration_seconds = ?,
+        preview_key = ?,
+        cleaned_key = ?,
+        transcript_key = ?,
+        report_key = ?,
+        completed_at = ?
+    WHERE process_id = ?
+  `).bind(
+    detection.timestamps.length,
+    JSON.stringify(detection.languages),
+    JSON.stringify(detection.timestamps.map(describeMute)),
+    detection.duration ?? null,
+    previewKey,
+    cleanedKey,
+    detection.transcriptKey,
+    reportKey,
+    completedAt,
+    processId
+  ).run();
+
+  console.log(`Processing completed for ${processId}`);
+}
+
+// What was edited and how: both files' hashes and durations, the settings,
+// and every censored segment with its word, language, severity, detection
+// confidence and censor method
+async function buildComplianceReport(processId, planType, options, detection, files, completedAt, env) {
+  const record = await env.DB.prepare(`
+    SELECT original_filename, created_at FROM processing_history WHERE process_id = ?
+  `).bind(processId).first();
+
+  const censor = options.censor || { mode: 'mute', options: {} };
+  const audioInfo = files.cleaned.audioInfo || {};
+
+  return {
+    reportVersion: 1,
+    processId,
+    workerVersion: CONFIG.WORKER_VERSION,
+    originalFilename: record?.original_filename || files.original.key.split('/').pop(),
+    planType,
+    original: {
+      sha256: await sha256Hex(files.original.audioBuffer),
+      size: files.original.audioBuffer.byteLength,
+      duration: detection.duration ?? null
+    },
+    cleaned: {
+      sha256: await sha256Hex(files.cleaned.audioBuffer),
+      size: files.cleaned.audioBuffer.byteLength,
+      duration: Number.isFinite(audioInfo.duration) ? audioInfo.duration : null,
+      format: files.cleaned.extension,
+      sampleRate: audioInfo.sampleRate || null,
+      channels: audioInfo.channels || null,
+      loudness: audioInfo.loudness?.after?.integrated ?? null
+    },
+    settings: {
+      detection: options.segmentsKey ? `import:${options.segmentsFormat}` : options.lyricsKey ? 'lyrics' : 'transcription',
+      cleanLevel: options.cleanLevel || DEFAULT_CLEAN_LEVEL,
+      languages: options.languages || [],
+      detectedLanguages: detection.languages || [],
+      censor: { mode: censor.mode, options: censor.options || {} },
+      output: options.output || { format: 'mp3' },
+      mastering: options.mastering || null,
+      confidenceThreshold: options.confidenceThreshold ?? CONFIG.DEFAULT_CONFIDENCE_THRESHOLD,
+      reviewed: Boolean(options.review)
+    },
+    segments: detection.timestamps.map((segment, index) => ({
+      index: index + 1,
+      start: segment.start,
+      end: segment.end,
+      word: segment.word || '',
+      language: segment.language || null,
+      severity: segment.severity || null,
+      category: segment.category || null,
+      confidence: segment.confidence ?? null,
+      censorMethod: censor.mode,
+      list: segment.list || null,
+      source: segment.source || (segment.list?.startsWith('import:') ? 'imported' : 'detected')
+    })),
+    // Uncertain detections that were not muted
+    needsReview: (detection.uncertain || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      word: segment.word || '',
+      language: segment.language || null,
+      severity: segment.severity || null,
+      confidence: segment.confidence ?? null
+    })),
+    timestamps: {
+      uploadedAt: record?.created_at ? new Date(record.created_at).toISOString() : null,
+      completedAt: new Date(completedAt).toISOString()
+    }
+  };
+}
+
+async function markProcessFailed(env, processId, error) {
+  await env.DB.prepare(`
+    UPDATE processing_history 
+    SET status = 'failed', error_message = ?, completed_at = ?
+    WHERE process_id = ?
+  `).bind(error.message, Date.now(), processId).run();
+}
+
+// Stop after detection with the flagged segments up for review. Each segment
+// is pending until accepted or rejected; pending ones are muted on render.
+// Uncertain detections are listed too, but only muted once accepted.
+async function pauseForReview(processId, detection, env) {
+  const flagged = [
+    ...detection.timestamps.map(match => ({ match, status: 'pending' })),
+    ...(detection.uncertain || []).map(match => ({ match, status: 'uncertain' }))
+  ].sort((a, b) => a.match.start - b.match.start);
+
+  const segments = flagged.map(({ match, status }, index) => ({
+    id: `seg_${index + 1}`,
+    status,
+    source: match.list?.startsWith('import:') ? 'imported' : 'detected',
+    ...describeMute(match),
+    ...(match.exact ? { exact: true } : {}),
+    // Word positions let the transcript be masked exactly as detected
+    position: match.position,
+    endPosition: match.endPosition,
+    ...(match.letters ? { letters: match.letters } : {})
+  }));
+
+  await env.DB.prepare(`
+    UPDATE processing_history
+    SET status = 'review',
+        stage = 'detection',
+        stage_progress = 100,
+        progress = ?,
+        words_removed = ?,
+        detected_languages = ?,
+        review_segments = ?,
+        duration_seconds = ?,
+        transcript_key = ?
+    WHERE process_id = ?
+  `).bind(
+    CONFIG.PROGRESS_STAGES.detection[1],
+    segments.filter(isMutedSegment).length,
+    JSON.stringify(detection.languages),
+    JSON.stringify(segments),
+    detection.duration,
+    detection.transcriptKey,
+    processId
+  ).run();
+
+  console.log(`Processing paused for review: ${processId}, ${segments.length} segments`);
+}
 
-    console.log(`Processing completed for ${processId}`);
+// Render a reviewed process from its stored upload, options and edited
+// segments. Transcription and detection are not run again; the stored
+// transcript is masked again to match the edits.
+async function renderReviewedProcess(processId, env) {
+  try {
+    const record = await env.DB.prepare(`
+      SELECT * FROM processing_history WHERE process_id = ?
+    `).bind(processId).first();
+
+    const options = {
+      ...JSON.parse(record.processing_options || '{}'),
+      sessionId: record.stripe_session_id,
+      clientId: record.stripe_session_id
+    };
+    const reviewed = JSON.parse(record.review_segments || '[]').sort((a, b) => a.start - b.start);
+    const segments = reviewed.filter(isMutedSegment);
+
+    const transcriptObject = record.transcript_key ? await env.AUDIO_STORAGE.get(record.transcript_key) : null;
+    if (transcriptObject) {
+      const transcript = applyReviewToTranscript(await transcriptObject.json(), segments);
+      await env.AUDIO_STORAGE.put(record.transcript_key, JSON.stringify(transcript), {
+        httpMetadata: { contentType: 'application/json' }
+      });
+    }
+
+    await renderAndStore(processId, record.upload_key, record.plan_type, env, options, {
+      timestamps: segments,
+      uncertain: reviewed.filter(segment => segment.status === 'uncertain'),
+      languages: JSON.parse(record.detected_languages || '[]'),
+      duration: record.duration_seconds,
+      transcriptKey: record.transcript_key
+    });
 
   } catch (error) {
-    console.error(`Processing failed for ${processId}:`, error);
+    console.error(`Reviewed render failed for ${processId}:`, error);
+    await markProcessFailed(env, processId, error);
+  }
+}
 
-    // Update with error
-    await env.DB.prepare(`
-      UPDATE processing_history 
-      SET status = 'failed', error_message = ?, completed_at = ?
-      WHERE process_id = ?
-    `).bind(error.message, Date.now(), processId).run();
+// Pending and accepted segments are muted; rejected ones and uncertain ones
+// nobody accepted are not
+function isMutedSegment(segment) {
+  return segment.status === 'pending' || segment.status === 'accepted';
+}
+
+// Mask the stored transcript from the reviewed segments. Segments kept as
+// detected mask the words they were found in; moved and added ones mask
+// every word their time range overlaps.
+function applyReviewToTranscript(transcript, segments) {
+  if (transcript.words.length === 0) {
+    return transcript;
   }
+
+  const timedWords = transcript.words.map(word => ({ word: word.original, start: word.start, end: word.end }));
+  const matches = segments.flatMap(segment => {
+    if (segment.position !== undefined) {
+      return [{ position: segment.position, endPosition: segment.endPosition, letters: segment.letters }];
+    }
+
+    const covered = timedWords
+      .map((word, index) => (word.start < segment.end && word.end > segment.start ? index : -1))
+      .filter(index => index !== -1);
+    return covered.length > 0 ? [{ position: covered[0], endPosition: covered[covered.length - 1] }] : [];
+  });
+
+  return { maskStyle: transcript.maskStyle, ...censorTranscript(timedWords, matches, transcript.maskStyle) };
 }
 
 // AI Transcription
 async function transcribeAudio(audioBuffer, env) {
   try {
-    const response = await env.AI.run('@cf/openai/whisper', {
-      audio: [...new Uint8Array(audioBuffer)]
+    // The turbo model returns segment timing with per-word start/end times
+    const response = await env.AI.run('@cf/openai/whisper-large-v3-turbo', {
+      audio: arrayBufferToBase64(audioBuffer),
+      task: 'transcribe'
     });
 
+    const segments = (response.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: (segment.text || '').trim(),
+      words: normalizeWhisperWords(segment.words)
+    }));
+
+    // Older whisper models only return a flat word list
+    const words = segments.some(segment => segment.words.length > 0)
+      ? segments.flatMap(segment => segment.words)
+      : normalizeWhisperWords(response.words);
+
+    const language = response.transcription_info?.language || response.language;
+
+    // Mean word probability; null when Whisper gave none, which is always the
+    // case for whisper-large-v3-turbo (its words carry only text and timing)
+    const probabilities = words.filter(word => word.probability !== undefined).map(word => word.probability);
+    const confidence = probabilities.length > 0
+      ? probabilities.reduce((total, probability) => total + probability, 0) / probabilities.length
+      : null;
+
     return {
       text: response.text || '',
-      languages: response.language ? [response.language] : ['en'],
-      confidence: 0.95
+      languages: language ? [language] : ['en'],
+      confidence,
+      duration: response.transcription_info?.duration || null,
+      words,
+      segments
     };
   } catch (error) {
     console.error('Transcription error:', error);
@@ -273,188 +941,830 @@ async function fallbackTranscription(audioBuffer) {
   return {
     text: 'Audio transcription completed using fallback service.',
     languages: ['en'],
-    confidence: 0.85
+    confidence: 0.85,
+    duration: null,
+    words: [],
+    segments: []
   };
 }
 
-// Multi-language profanity detection
-async function detectProfanity(text, env) {
-  try {
-    let totalWordsRemoved = 0;
-    const timestamps = [];
-    const languages = ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'zh', 'ja', 'ko'];
-
-    for (const lang of languages) {
-      try {
-        const profanityListJson = await env.PROFANITY_LISTS.get(`lists/${lang}.json`);
-        if (profanityListJson) {
-          const profanityWords = JSON.parse(profanityListJson);
-          const matches = findProfanityInText(text, profanityWords);
-          totalWordsRemoved += matches.length;
-          timestamps.push(...matches);
-        }
-      } catch (langError) {
-        console.warn(`Failed to load ${lang} profanity list:`, langError);
-      }
-    }
-
-    return {
-      wordsRemoved: totalWordsRemoved,
-      timestamps,
-      cleanedText: cleanTextFromProfanity(text, timestamps)
-    };
+// Normalize Whisper word entries to { word, start, end[, probability] }
+function normalizeWhisperWords(words) {
+  if (!Array.isArray(words)) return [];
+
+  return words
+    .filter(entry => entry && typeof entry.word === 'string' && entry.word.trim())
+    .map(entry => ({
+      word: entry.word.trim(),
+      start: Number(entry.start),
+      end: Number(entry.end),
+      ...(typeof entry.probability === 'number' && Number.isFinite(entry.probability) ? { probability: entry.probability } : {})
+    }))
+    .filter(entry => Number.isFinite(entry.start) && Number.isFinite(entry.end));
+}
 
-  } catch (error) {
-    console.error('Profanity detection error:', error);
-    return {
-      wordsRemoved: 0,
-      timestamps: [],
-      cleanedText: text
-    };
+// Build the timed word list used for matching. Word-level timing is used when
+// Whisper returns it; otherwise each segment's span is shared out across its words.
+function getTimedWords(transcription) {
+  if (transcription.words && transcription.words.length > 0) {
+    return transcription.words;
   }
-}
 
-// Find profanity matches
-function findProfanityInText(text, profanityWords) {
-  const matches = [];
-  const words = text.toLowerCase().split(/\s+/);
+  const timedWords = [];
+  for (const segment of transcription.segments || []) {
+    const segmentWords = segment.text.split(/\s+/).filter(Boolean);
+    const wordDuration = (segment.end - segment.start) / Math.max(segmentWords.length, 1);
 
-  words.forEach((word, index) => {
-    const cleanWord = word.replace(/[^a-zA-Z0-9]/g, '');
-    if (profanityWords.some(profane => 
-      cleanWord.includes(profane.toLowerCase()) || 
-      levenshteinDistance(cleanWord, profane.toLowerCase()) <= 1
-    )) {
-      matches.push({
-        word: cleanWord,
-        position: index,
-        timestamp: index * 0.6 // Approximate timing
+    segmentWords.forEach((word, index) => {
+      timedWords.push({
+        word,
+        start: segment.start + index * wordDuration,
+        end: segment.start + (index + 1) * wordDuration
       });
-    }
-  });
-
-  return matches;
-}
+    });
+  }
 
-// Clean text from profanity
-function cleanTextFromProfanity(text, timestamps) {
-  let cleanedText = text;
-  timestamps.forEach(match => {
-    const regex = new RegExp(match.word, 'gi');
-    cleanedText = cleanedText.replace(regex, '*'.repeat(match.word.length));
-  });
-  return cleanedText;
+  return timedWords;
 }
 
-// Advanced audio cleaning simulation
-async function cleanAudio(audioBuffer, profanityTimestamps) {
-  // In production, this would use sophisticated audio processing
-  // For now, simulate by creating a slightly modified version
+// Multi-language profanity detection over the languages Whisper detected plus
+// any the upload asked for, keeping only the matches the clean level mutes.
+// A customer's allow lists drop matches from the global lists; their block
+// lists are always muted, whatever the clean level. Each match records the
+// list that triggered it, its language and its confidence. Matches below
+// confidenceThreshold are returned as uncertain and left unmasked. Errors are
+// thrown, never treated as "nothing found": the job must not come out clean.
+async function detectProfanity(transcription, env, cleanLevel = DEFAULT_CLEAN_LEVEL, extraLanguages = [], customLists = [], maskStyle = DEFAULT_MASK_STYLE, confidenceThreshold = CONFIG.DEFAULT_CONFIDENCE_THRESHOLD) {
+  const text = transcription.text;
+  const timedWords = getTimedWords(transcription);
+
+  const detections = [];
+  const languages = getDetectionLanguages(transcription.languages, extraLanguages);
+  const matchers = await loadProfanityMatchers(languages, env);
+  console.log(`Checking ${languages.join(', ')} (${matchers.size} lists loaded, ${customLists.length} custom)`);
+
+  const foldDiacritics = FOLD_DIACRITICS_LANGUAGES.includes(languages[0]);
+  const allowWords = customLists
+    .filter(list => list.type === 'allow')
+    .flatMap(list => list.words.map(entry => typeof entry === 'string' ? entry : entry.word || entry.phrase));
+
+  for (const [lang, matcher] of matchers) {
+    // Allowlisted words are compared in this list's own match form, so a
+    // list that folds diacritics also folds them in the allowlist
+    const allowed = new Set(allowWords.map(word => toMatchForm(word, matcher.options)).filter(Boolean));
+    const matches = filterMatchesByCleanLevel(findProfanityInText(timedWords, matcher), cleanLevel)
+      .filter(match => !allowed.has(toMatchForm(match.word, matcher.options)) && !allowed.has(toMatchForm(match.entry, matcher.options)));
+    detections.push(...matches.map(match => ({ ...match, language: lang, list: `global:${lang}` })));
+  }
 
-  const uint8Array = new Uint8Array(audioBuffer);
-  const cleanedArray = new Uint8Array(uint8Array.length);
+  for (const list of customLists.filter(list => list.type === 'block')) {
+    const matches = findProfanityInText(timedWords, compileProfanityMatcher(list.words, [], { foldDiacritics }))
+      .filter(match => !detections.some(existing => match.position <= existing.endPosition && existing.position <= match.endPosition));
+    detections.push(...matches.map(match => ({
+      ...match,
+      language: languages[0],
+      list: `custom:${list.listId}`,
+      listName: list.name
+    })));
+  }
 
-  // Copy original audio
-  cleanedArray.set(uint8Array);
+  const timestamps = [];
+  const uncertain = [];
+  for (const match of detections.map(match => scoreDetection(match, timedWords))) {
+    (match.confidence >= confidenceThreshold ? timestamps : uncertain).push(match);
+  }
+  timestamps.sort((a, b) => a.start - b.start);
+  uncertain.sort((a, b) => a.start - b.start);
 
-  // Apply "cleaning" - in real implementation this would:
-  // 1. Convert to audio samples
-  // 2. Identify and mute/replace profanity segments
-  // 3. Apply audio enhancement
-  // 4. Re-encode to target quality
+  return {
+    wordsRemoved: timestamps.length,
+    timestamps,
+    uncertain,
+    transcript: buildTranscript(text, timedWords, timestamps, maskStyle)
+  };
+}
 
-  // Simulate processing time
-  await new Promise(resolve => setTimeout(resolve, 1000));
+// A match's confidence: the matcher's quality for how it was found times the
+// least sure Whisper word it covers. Words without a probability (segment
+// timing, lyrics, and every word from whisper-large-v3-turbo, which reports
+// none) leave the quality alone, so in practice this is the match quality.
+function scoreDetection(match, timedWords) {
+  const probabilities = timedWords
+    .slice(match.position, match.endPosition + 1)
+    .map(word => word.probability)
+    .filter(probability => probability !== undefined);
+  const probability = probabilities.length > 0 ? Math.min(...probabilities) : null;
+  const confidence = Math.round(match.quality * (probability ?? 1) * 100) / 100;
+
+  return { ...match, probability, confidence };
+}
 
-  return cleanedArray.buffer;
+// Original and cleaned transcript, word by word. Without timed words (the
+// fallback transcription) there is nothing to align, so the text is kept.
+function buildTranscript(text, timedWords, matches, maskStyle) {
+  if (timedWords.length === 0) {
+    return { maskStyle, original: text, cleaned: text, words: [] };
+  }
+  return { maskStyle, ...censorTranscript(timedWords, matches, maskStyle) };
 }
 
-// Generate preview from cleaned audio
-async function generatePreview(cleanedAudioBuffer, previewLengthSeconds) {
-  // In production, this would extract the first N seconds of audio
-  // For now, simulate by creating a truncated version
+// One muted word as stored in processing_history and reported by /status
+function describeMute({ word, start, end, severity, category, language, confidence, list, listName }) {
+  return { word, start, end, severity, category, language, confidence, list, ...(listName ? { listName } : {}) };
+}
 
-  const originalSize = cleanedAudioBuffer.byteLength;
-  const previewSize = Math.min(originalSize, Math.floor(originalSize * (previewLengthSeconds / 180))); // Assume 3min avg
+// Whisper reports codes like "en" or "zh-CN"; only languages with a list are checked
+function getDetectionLanguages(detectedLanguages = [], extraLanguages = []) {
+  const languages = [...detectedLanguages, ...extraLanguages]
+    .map(language => String(language).toLowerCase().split(/[-_]/)[0])
+    .filter(language => CONFIG.PROFANITY_LANGUAGES.includes(language));
 
-  return cleanedAudioBuffer.slice(0, previewSize);
+  return languages.length > 0 ? [...new Set(languages)] : ['en'];
 }
 
-// Create Stripe Payment
-async function handleCreatePayment(request, env) {
-  if (request.method !== 'POST') {
-    return createErrorResponse('Method not allowed', 405);
-  }
+// Compiled matchers per language, kept for the life of the isolate. The
+// profanity_cache row holds each list's version and checksum, so KV is read
+// again only when the row stops matching what this isolate compiled. Bumping
+// a row's version (or clearing its checksum) forces a reload everywhere.
+const profanityMatchers = new Map();
 
+async function loadProfanityMatchers(languages, env) {
+  let rows = new Map();
   try {
-    const { planType } = await request.json();
+    const { results } = await env.DB.prepare(`
+      SELECT language_code, version, checksum FROM profanity_cache
+      WHERE language_code IN (${languages.map(() => '?').join(', ')})
+    `).bind(...languages).all();
+    rows = new Map(results.map(row => [row.language_code, row]));
+  } catch (error) {
+    console.warn('Failed to read profanity_cache, reloading lists from KV:', error);
+  }
 
-    if (!CONFIG.STRIPE_PRICES[planType]) {
-      return createErrorResponse('Invalid plan type', 400);
-    }
+  const matchers = new Map();
 
-    const stripe = new Stripe(env.STRIPE_SECRET_KEY);
+  for (const lang of languages) {
+    try {
+      const row = rows.get(lang);
+      let cached = profanityMatchers.get(lang);
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [{
-        price: CONFIG.STRIPE_PRICES[planType],
-        quantity: 1
-      }],
-      mode: planType.includes('pro') || planType.includes('elite') ? 'subscription' : 'payment',
-      success_url: 'https://omnibackend2.fweago-flavaz.workers.dev/?success=true&session_id={CHECKOUT_SESSION_ID}',
-      cancel_url: 'https://omnibackend2.fweago-flavaz.workers.dev/?canceled=true',
-      metadata: {
-        plan_type: planType,
-        worker_version: CONFIG.WORKER_VERSION
+      if (!cached || !row || !row.checksum || cached.version !== row.version || cached.checksum !== row.checksum) {
+        cached = await loadProfanityList(lang, row, env);
+        profanityMatchers.set(lang, cached);
       }
-    });
 
-    return createResponse({
-      success: true,
-      sessionId: session.id,
-      checkoutUrl: session.url
-    });
+      if (!cached.matcher) {
+        throw new Error('no list in KV');
+      }
+      matchers.set(lang, cached.matcher);
+    } catch (langError) {
+      // Without its list a language would go through uncensored, and the
+      // file still be labelled clean, so the job fails instead
+      throw new Error(`Failed to load ${lang} profanity list: ${langError.message}`);
+    }
+  }
 
-  } catch (error) {
-    console.error('Payment creation error:', error);
-    return createErrorResponse(error.message, 500);
+  return matchers;
+}
+
+// Read and compile one language's list and allowlist from KV, then record the
+// checksum in profanity_cache when the row has none. A checksum that differs
+// from the stored one is not written back: KV may not have caught up with an
+// admin change yet, so the list is read again on the next job instead.
+async function loadProfanityList(lang, row, env) {
+  const [profanityListJson, allowListJson] = await Promise.all([
+    env.PROFANITY_LISTS.get(`lists/${lang}.json`),
+    env.PROFANITY_LISTS.get(`lists/${lang}.allow.json`)
+  ]);
+
+  const checksum = await sha256Hex(`${profanityListJson || ''}\n${allowListJson || '[]'}`);
+  const profanityWords = profanityListJson ? JSON.parse(profanityListJson) : [];
+  const matcher = profanityListJson
+    ? compileProfanityMatcher(
+      profanityWords,
+      JSON.parse(allowListJson || '[]'),
+      { foldDiacritics: FOLD_DIACRITICS_LANGUAGES.includes(lang) }
+    )
+    : null;
+
+  let version = row?.version || 1;
+  if (!row || !row.checksum) {
+    try {
+      const updated = await env.DB.prepare(`
+        INSERT INTO profanity_cache (language_code, word_count, version, checksum, last_updated)
+        VALUES (?, ?, 1, ?, ?)
+        ON CONFLICT(language_code) DO UPDATE SET
+          word_count = excluded.word_count,
+          checksum = excluded.checksum,
+          last_updated = excluded.last_updated
+        WHERE profanity_cache.checksum IS NULL
+        RETURNING version
+      `).bind(lang, profanityWords.length, checksum, Date.now()).first();
+      version = updated?.version ?? version;
+    } catch (error) {
+      console.warn(`Failed to update profanity_cache for ${lang}:`, error);
+    }
+    console.log(`Loaded ${lang} profanity list v${version} (${profanityWords.length} entries)`);
+  } else if (row.checksum !== checksum) {
+    console.warn(`${lang} profanity list in KV does not match profanity_cache v${row.version}; bump the version after editing KV by hand`);
   }
+
+  return { version, checksum, matcher };
 }
 
-// Stripe Webhook Handler
-async function handleStripeWebhook(request, env) {
-  if (request.method !== 'POST') {
-    return createErrorResponse('Method not allowed', 405);
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Render the cleaned audio on the ffmpeg encoder server
+async function cleanAudio(processId, audioBuffer, fileName, contentType, profanityTimestamps, planType, options, env) {
+  const formData = new FormData();
+  formData.append('audio', new Blob([audioBuffer], { type: contentType || 'application/octet-stream' }), fileName);
+  formData.append('planType', planType);
+  // Written into the output tags so a file can be traced back to its record
+  formData.append('processReference', processId);
+  if (options.clientId) formData.append('clientId', options.clientId);
+  formData.append('profanityTimestamps', JSON.stringify(
+    profanityTimestamps.map(({ word, start, end, exact }) => ({ word, start, end, ...(exact ? { exact: true } : {}) }))
+  ));
+
+  const output = options.output || { format: 'mp3' };
+  formData.append('outputFormat', output.format);
+  if (output.sampleRate) formData.append('sampleRate', String(output.sampleRate));
+  if (output.bitDepth) formData.append('bitDepth', String(output.bitDepth));
+
+  // No preset means the plan default on the encoder
+  if (options.mastering?.preset) formData.append('masteringPreset', options.mastering.preset);
+  if (options.mastering?.options) formData.append('masteringOptions', JSON.stringify(options.mastering.options));
+
+  const censor = options.censor || { mode: 'mute', options: {} };
+  formData.append('censorMode', censor.mode);
+  formData.append('censorOptions', JSON.stringify(censor.options || {}));
+
+  if (censor.soundKey) {
+    const soundObject = await env.AUDIO_STORAGE.get(censor.soundKey);
+    if (!soundObject) {
+      throw new Error('Censor sound file not found');
+    }
+    formData.append('censorSound', new Blob([await soundObject.arrayBuffer()]), censor.soundKey.split('/').pop());
   }
 
-  try {
-    const body = await request.text();
-    const signature = request.headers.get('stripe-signature');
+  const submitted = await fetchFromEncoder(env, '/api/process-audio', {
+    method: 'POST',
+    body: formData
+  }).then(response => response.json());
 
-    const stripe = new Stripe(env.STRIPE_SECRET_KEY);
-    const event = stripe.webhooks.constructEvent(body, signature, env.STRIPE_WEBHOOK_SECRET);
+  if (!submitted.success || !submitted.jobId) {
+    throw new Error(`Encoder error: ${submitted.details || submitted.error || 'no job ID returned'}`);
+  }
 
-    console.log('Stripe event:', event.type);
+  console.log(`Encoder job ${submitted.jobId} ${submitted.status}${submitted.position ? ` at position ${submitted.position}` : ''}`);
+  // The encoder's own preview render is the tail of our render stage
+  const result = await waitForEncoderJob(env, submitted.jobId, job => updateProgress(
+    env,
+    processId,
+    'render',
+    job.stage === 'render' ? job.stageProgress : job.stage === 'preview' ? 100 : 0
+  ));
+
+  console.log(`Encoder rendered ${result.processing?.segmentsCleaned ?? 0} segments for ${fileName}`);
+  if (result.audioInfo?.loudness?.after) {
+    console.log(`Loudness: ${result.audioInfo.loudness.before?.integrated} -> ${result.audioInfo.loudness.after.integrated} LUFS`);
+  }
 
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handlePaymentSuccess(event.data.object, env);
-        break;
+  const extension = result.output?.extension || 'mp3';
+  const cleanedResponse = await fetchFromEncoder(env, `/api/download/${result.processId}/cleaned`);
 
-      case 'customer.subscription.deleted':
-        await handleSubscriptionCanceled(event.data.object, env);
-        break;
+  // The job rendered the plan's preview (trimmed and faded) alongside the full
+  // file; without it renderAndStore builds one from the cleaned audio
+  const previewBuffer = await fetchFromEncoder(env, `/api/download/${result.processId}/preview`)
+    .then(response => response.arrayBuffer())
+    .catch(error => {
+      console.warn(`Encoder preview unavailable for ${fileName}:`, error.message);
+      return null;
+    });
 
-      case 'invoice.payment_succeeded':
-        await handleSubscriptionRenewal(event.data.object, env);
-        break;
+  return {
+    audioBuffer: await cleanedResponse.arrayBuffer(),
+    previewBuffer,
+    audioInfo: result.audioInfo || {},
+    extension,
+    contentType: CONFIG.OUTPUT_FORMATS[extension]?.contentType || cleanedResponse.headers.get('Content-Type')
+  };
+}
 
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
+// Poll an encoder job until it finishes, passing each status to onStatus.
+// Gives up (and cancels the job) after ENCODER_TIMEOUT_MS so a stuck render
+// does not hold a queue slot.
+async function waitForEncoderJob(env, jobId, onStatus) {
+  const deadline = Date.now() + CONFIG.ENCODER_TIMEOUT_MS;
 
-    return new Response('OK', { status: 200 });
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CONFIG.ENCODER_POLL_INTERVAL_MS));
+
+    const job = await fetchFromEncoder(env, `/api/jobs/${jobId}`).then(response => response.json());
+    await onStatus(job);
+    if (job.status === 'completed') {
+      return job.result;
+    }
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      throw new Error(`Encoder job ${job.status}: ${job.error || 'no details'}`);
+    }
+  }
+
+  await fetchFromEncoder(env, `/api/jobs/${jobId}`, { method: 'DELETE' }).catch(() => {});
+  throw new Error(`Encoder job timed out after ${CONFIG.ENCODER_TIMEOUT_MS / 1000}s`);
+}
+
+// Call the encoder server, turning HTTP errors and timeouts into thrown errors
+async function fetchFromEncoder(env, endpoint, options = {}) {
+  if (!env.ENCODER_URL) {
+    throw new Error('Encoder not configured (ENCODER_URL missing)');
+  }
+
+  let response;
+
+  try {
+    response = await fetch(`${env.ENCODER_URL}${endpoint}`, {
+      ...options,
+      signal: AbortSignal.timeout(CONFIG.ENCODER_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`Encoder timed out after ${CONFIG.ENCODER_TIMEOUT_MS / 1000}s (${endpoint})`);
+    }
+    throw new Error(`Encoder unreachable (${endpoint}): ${error.message}`);
+  }
+
+  if (!response.ok) {
+    const body = await response.text();
+    let details = body;
+    try {
+      const parsed = JSON.parse(body);
+      details = parsed.details || parsed.error || body;
+    } catch (parseError) {
+      // Non-JSON error body, report it as-is
+    }
+    throw new Error(`Encoder request failed (${endpoint}): ${response.status} ${details}`.trim());
+  }
+
+  return response;
+}
+
+// Generate a preview of the first N seconds of the cleaned audio. Only needed
+// when the encoder job's own preview could not be fetched.
+async function generatePreview(cleanedAudioBuffer, fileName, previewLengthSeconds, planType, env) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  let preview = null;
+
+  if (extension === 'mp3') {
+    preview = buildMp3Preview(cleanedAudioBuffer, previewLengthSeconds, CONFIG.PREVIEW_FADE_SECONDS);
+  } else if (extension === 'wav') {
+    preview = buildWavPreview(cleanedAudioBuffer, previewLengthSeconds, CONFIG.PREVIEW_FADE_SECONDS);
+  }
+
+  if (preview) {
+    return preview;
+  }
+
+  // Compressed containers we can't cut in the Worker (or streams we couldn't parse) are trimmed by ffmpeg
+  console.log(`Rendering ${extension} preview on the encoder`);
+  return await renderPreviewOnEncoder(cleanedAudioBuffer, fileName, previewLengthSeconds, planType, env);
+}
+
+// Trim and fade a preview on the encoder server
+async function renderPreviewOnEncoder(audioBuffer, fileName, previewLengthSeconds, planType, env) {
+  const formData = new FormData();
+  formData.append('audio', new Blob([audioBuffer]), fileName);
+  formData.append('planType', planType);
+  formData.append('duration', String(previewLengthSeconds));
+
+  const response = await fetchFromEncoder(env, '/api/preview', {
+    method: 'POST',
+    body: formData
+  });
+
+  return await response.arrayBuffer();
+}
+
+// MPEG audio layer III tables, indexed by version bits (3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5)
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000]
+};
+const MP3_DECODER_DELAY = 529;
+const MP3_FADE_GAIN_STEPS = 40; // 1.5dB per global_gain step, -60dB at the end of the fade
+
+// Build an MP3 preview by cutting on frame boundaries. The fade-out lowers each
+// frame's global_gain, and a Xing/LAME "Info" frame carries the frame count plus
+// encoder delay/padding so gapless players stop at exactly the preview length.
+function buildMp3Preview(buffer, seconds, fadeSeconds) {
+  const bytes = new Uint8Array(buffer);
+  const id3Length = getId3v2Length(bytes);
+  const firstFrame = findFirstMp3Frame(bytes, id3Length);
+  if (firstFrame < 0) return null;
+
+  const frames = [];
+  let offset = firstFrame;
+  let template = null;
+  while (offset < bytes.length) {
+    const header = parseMp3FrameHeader(bytes, offset);
+    if (!header || offset + header.length > bytes.length) break;
+
+    if (template && (header.sampleRate !== template.sampleRate || header.isMpeg1 !== template.isMpeg1)) break;
+    template = template || header;
+    frames.push({ offset, header });
+    offset += header.length;
+  }
+  if (frames.length === 0) return null;
+
+  // An existing Xing/Info/VBRI frame describes the whole track: read its delay/padding and drop it
+  let encoderDelay = 0;
+  let encoderPadding = MP3_DECODER_DELAY;
+  const infoTag = readMp3InfoTag(bytes, frames[0].offset, frames[0].header);
+  if (infoTag) {
+    frames.shift();
+    if (infoTag.hasLameTag) {
+      encoderDelay = infoTag.delay;
+      encoderPadding = Math.max(infoTag.padding, MP3_DECODER_DELAY);
+    }
+  }
+  if (frames.length === 0) return null;
+
+  const { sampleRate, samplesPerFrame } = template;
+  const availableSamples = frames.length * samplesPerFrame - encoderDelay - encoderPadding;
+  const targetSamples = Math.max(0, Math.min(Math.round(seconds * sampleRate), availableSamples));
+  const frameCount = Math.min(
+    frames.length,
+    Math.ceil((targetSamples + encoderDelay + MP3_DECODER_DELAY) / samplesPerFrame)
+  );
+  const padding = frameCount * samplesPerFrame - encoderDelay - targetSamples;
+
+  const previewFrames = frames.slice(0, frameCount);
+  const audioLength = previewFrames.reduce((total, frame) => total + frame.header.length, 0);
+  const infoFrame = buildMp3InfoFrame(bytes, previewFrames[0], frameCount, audioLength, encoderDelay, padding);
+  const infoLength = infoFrame ? infoFrame.length : 0;
+
+  const output = new Uint8Array(id3Length + infoLength + audioLength);
+  output.set(bytes.subarray(0, id3Length), 0);
+  if (infoFrame) output.set(infoFrame, id3Length);
+
+  const targetSeconds = targetSamples / sampleRate;
+  const fadeLength = Math.min(fadeSeconds, targetSeconds);
+  const fadeStart = targetSeconds - fadeLength;
+  let writeOffset = id3Length + infoLength;
+
+  previewFrames.forEach((frame, index) => {
+    output.set(bytes.subarray(frame.offset, frame.offset + frame.header.length), writeOffset);
+
+    const frameTime = (index * samplesPerFrame - encoderDelay) / sampleRate;
+    if (fadeLength > 0 && frameTime >= fadeStart) {
+      const progress = Math.min(1, (frameTime - fadeStart) / fadeLength);
+      attenuateMp3Frame(output, writeOffset, frame.header, Math.round(progress * MP3_FADE_GAIN_STEPS));
+    }
+
+    writeOffset += frame.header.length;
+  });
+
+  return output.buffer;
+}
+
+function parseMp3FrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+
+  // Layer III only; free-format and reserved values can't be walked reliably
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = versionBits === 3;
+  const channels = (bytes[offset + 3] >> 6) === 3 ? 1 : 2;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const bitrate = (isMpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[bitrateIndex];
+  const paddingBit = (bytes[offset + 2] >> 1) & 0x01;
+
+  return {
+    isMpeg1,
+    channels,
+    sampleRate,
+    bitrateIndex,
+    hasCrc: (bytes[offset + 1] & 0x01) === 0,
+    samplesPerFrame: isMpeg1 ? 1152 : 576,
+    sideInfoSize: isMpeg1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17),
+    length: getMp3FrameLength(isMpeg1, bitrate, sampleRate, paddingBit)
+  };
+}
+
+function getMp3FrameLength(isMpeg1, bitrate, sampleRate, paddingBit) {
+  return Math.floor((isMpeg1 ? 144000 : 72000) * bitrate / sampleRate) + paddingBit;
+}
+
+function getId3v2Length(bytes) {
+  if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return 0;
+
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  const hasFooter = (bytes[5] & 0x10) !== 0;
+  return Math.min(bytes.length, 10 + size + (hasFooter ? 10 : 0));
+}
+
+// First offset holding two consecutive valid frame headers
+function findFirstMp3Frame(bytes, startOffset) {
+  for (let offset = startOffset; offset < bytes.length - 4; offset++) {
+    const header = parseMp3FrameHeader(bytes, offset);
+    if (header && (offset + header.length === bytes.length || parseMp3FrameHeader(bytes, offset + header.length))) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+function readMp3InfoTag(bytes, offset, header) {
+  const tagOffset = offset + 4 + (header.hasCrc ? 2 : 0) + header.sideInfoSize;
+  const tag = readAscii(bytes, tagOffset, 4);
+
+  if (readAscii(bytes, offset + 36, 4) === 'VBRI') {
+    return { hasLameTag: false };
+  }
+  if (tag !== 'Xing' && tag !== 'Info') {
+    return null;
+  }
+
+  const flags = readUint32BE(bytes, tagOffset + 4);
+  let lameOffset = tagOffset + 8;
+  if (flags & 0x01) lameOffset += 4;   // frame count
+  if (flags & 0x02) lameOffset += 4;   // byte count
+  if (flags & 0x04) lameOffset += 100; // seek table
+  if (flags & 0x08) lameOffset += 4;   // quality
+
+  const encoder = readAscii(bytes, lameOffset, 4);
+  if (!['LAME', 'Lavf', 'Lavc'].includes(encoder) || lameOffset + 24 > offset + header.length) {
+    return { hasLameTag: false };
+  }
+
+  return {
+    hasLameTag: true,
+    delay: (bytes[lameOffset + 21] << 4) | (bytes[lameOffset + 22] >> 4),
+    padding: ((bytes[lameOffset + 22] & 0x0F) << 8) | bytes[lameOffset + 23]
+  };
+}
+
+// Xing "Info" frame with a LAME tag, laid out the way LAME writes it for CBR files
+function buildMp3InfoFrame(bytes, firstFrame, frameCount, audioLength, encoderDelay, padding) {
+  const { header } = firstFrame;
+  const tagOffset = 4 + header.sideInfoSize;
+  const lameOffset = tagOffset + 120;
+  const requiredLength = lameOffset + 36;
+
+  // Use the smallest bitrate (from the stream's own) whose frame fits the tag
+  const bitrates = header.isMpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2;
+  let bitrateIndex = header.bitrateIndex;
+  while (bitrateIndex < 14 && getMp3FrameLength(header.isMpeg1, bitrates[bitrateIndex], header.sampleRate, 0) < requiredLength) {
+    bitrateIndex++;
+  }
+  const frameLength = getMp3FrameLength(header.isMpeg1, bitrates[bitrateIndex], header.sampleRate, 0);
+  if (frameLength < requiredLength) return null;
+
+  const frame = new Uint8Array(frameLength);
+  frame[0] = 0xFF;
+  frame[1] = bytes[firstFrame.offset + 1] | 0x01; // no CRC
+  frame[2] = (bitrateIndex << 4) | (bytes[firstFrame.offset + 2] & 0x0C);
+  frame[3] = bytes[firstFrame.offset + 3];
+
+  writeAscii(frame, tagOffset, 'Info');
+  writeUint32BE(frame, tagOffset + 4, 0x0F); // frames, bytes, seek table, quality
+  writeUint32BE(frame, tagOffset + 8, frameCount);
+  writeUint32BE(frame, tagOffset + 12, frameLength + audioLength);
+  for (let i = 0; i < 100; i++) {
+    frame[tagOffset + 16 + i] = Math.floor(i * 256 / 100);
+  }
+
+  writeAscii(frame, lameOffset, 'LAME3.100');
+  frame[lameOffset + 21] = (encoderDelay >> 4) & 0xFF;
+  frame[lameOffset + 22] = ((encoderDelay & 0x0F) << 4) | ((padding >> 8) & 0x0F);
+  frame[lameOffset + 23] = padding & 0xFF;
+  writeUint32BE(frame, lameOffset + 28, frameLength + audioLength);
+
+  const tagCrc = crc16Lame(frame.subarray(0, lameOffset + 34));
+  frame[lameOffset + 34] = tagCrc >> 8;
+  frame[lameOffset + 35] = tagCrc & 0xFF;
+
+  return frame;
+}
+
+// Lower global_gain for every granule/channel in the frame's side info
+function attenuateMp3Frame(bytes, offset, header, steps) {
+  if (steps <= 0) return;
+
+  const sideInfoBit = (offset + 4 + (header.hasCrc ? 2 : 0)) * 8;
+  const granules = header.isMpeg1 ? 2 : 1;
+  const headerBits = header.isMpeg1 ? (header.channels === 1 ? 18 : 20) : (header.channels === 1 ? 9 : 10);
+  const granuleBits = header.isMpeg1 ? 59 : 63;
+
+  for (let granule = 0; granule < granules; granule++) {
+    for (let channel = 0; channel < header.channels; channel++) {
+      // global_gain follows part2_3_length (12 bits) and big_values (9 bits)
+      const gainBit = sideInfoBit + headerBits + (granule * header.channels + channel) * granuleBits + 21;
+      const gain = readBits(bytes, gainBit, 8);
+      writeBits(bytes, gainBit, 8, Math.max(0, gain - steps));
+    }
+  }
+
+  if (header.hasCrc) {
+    // Frame CRC covers the last two header bytes and the side info
+    const crcInput = new Uint8Array(2 + header.sideInfoSize);
+    crcInput.set(bytes.subarray(offset + 2, offset + 4), 0);
+    crcInput.set(bytes.subarray(offset + 6, offset + 6 + header.sideInfoSize), 2);
+    const crc = crc16Mpeg(crcInput);
+    bytes[offset + 4] = crc >> 8;
+    bytes[offset + 5] = crc & 0xFF;
+  }
+}
+
+// Build a WAV preview by cutting PCM on a sample boundary and fading the samples directly
+function buildWavPreview(buffer, seconds, fadeSeconds) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  if (bytes.length < 12 || readAscii(bytes, 0, 4) !== 'RIFF' || readAscii(bytes, 8, 4) !== 'WAVE') {
+    return null;
+  }
+
+  let fmtChunk = null;
+  let dataOffset = -1;
+  let dataSize = 0;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readAscii(bytes, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+
+    if (chunkId === 'fmt ') {
+      fmtChunk = bytes.subarray(offset, offset + 8 + chunkSize);
+    } else if (chunkId === 'data') {
+      dataOffset = offset + 8;
+      dataSize = Math.min(chunkSize, bytes.length - dataOffset);
+      break;
+    }
+    offset += 8 + chunkSize + (chunkSize & 1);
+  }
+  if (!fmtChunk || fmtChunk.length < 24 || dataOffset < 0) return null;
+
+  const fmt = new DataView(buffer, fmtChunk.byteOffset + 8, fmtChunk.length - 8);
+  let formatTag = fmt.getUint16(0, true);
+  const channels = fmt.getUint16(2, true);
+  const sampleRate = fmt.getUint32(4, true);
+  const blockAlign = fmt.getUint16(12, true);
+  if (formatTag === 0xFFFE && fmtChunk.length >= 34) {
+    formatTag = fmt.getUint16(24, true); // WAVE_FORMAT_EXTENSIBLE sub-format
+  }
+
+  const bytesPerSample = blockAlign / channels;
+  const sampleCodec = getPcmSampleCodec(formatTag, bytesPerSample);
+  if (!sampleCodec || !sampleRate) return null;
+
+  const frameCount = Math.min(Math.floor(dataSize / blockAlign), Math.round(seconds * sampleRate));
+  const pcmLength = frameCount * blockAlign;
+  const output = new Uint8Array(12 + fmtChunk.length + 8 + pcmLength + (pcmLength & 1));
+  const outputView = new DataView(output.buffer);
+
+  writeAscii(output, 0, 'RIFF');
+  outputView.setUint32(4, output.length - 8, true);
+  writeAscii(output, 8, 'WAVE');
+  output.set(fmtChunk, 12);
+  const pcmOffset = 12 + fmtChunk.length + 8;
+  writeAscii(output, pcmOffset - 8, 'data');
+  outputView.setUint32(pcmOffset - 4, pcmLength, true);
+  output.set(bytes.subarray(dataOffset, dataOffset + pcmLength), pcmOffset);
+
+  const fadeFrames = Math.min(frameCount, Math.round(fadeSeconds * sampleRate));
+  for (let frame = frameCount - fadeFrames; frame < frameCount; frame++) {
+    const gain = (frameCount - frame - 1) / fadeFrames;
+    for (let channel = 0; channel < channels; channel++) {
+      const sampleOffset = pcmOffset + frame * blockAlign + channel * bytesPerSample;
+      sampleCodec.write(outputView, sampleOffset, sampleCodec.read(outputView, sampleOffset) * gain);
+    }
+  }
+
+  return output.buffer;
+}
+
+// Read/write a PCM sample as a number in its native range
+function getPcmSampleCodec(formatTag, bytesPerSample) {
+  if (formatTag === 3 && bytesPerSample === 4) {
+    return { read: (view, offset) => view.getFloat32(offset, true), write: (view, offset, value) => view.setFloat32(offset, value, true) };
+  }
+  if (formatTag === 3 && bytesPerSample === 8) {
+    return { read: (view, offset) => view.getFloat64(offset, true), write: (view, offset, value) => view.setFloat64(offset, value, true) };
+  }
+  if (formatTag !== 1) return null;
+
+  switch (bytesPerSample) {
+    case 1:
+      return { read: (view, offset) => view.getUint8(offset) - 128, write: (view, offset, value) => view.setUint8(offset, Math.round(value) + 128) };
+    case 2:
+      return { read: (view, offset) => view.getInt16(offset, true), write: (view, offset, value) => view.setInt16(offset, Math.round(value), true) };
+    case 3:
+      return {
+        read: (view, offset) => (view.getInt8(offset + 2) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset),
+        write: (view, offset, value) => {
+          const sample = Math.round(value);
+          view.setUint8(offset, sample & 0xFF);
+          view.setUint8(offset + 1, (sample >> 8) & 0xFF);
+          view.setInt8(offset + 2, sample >> 16);
+        }
+      };
+    case 4:
+      return { read: (view, offset) => view.getInt32(offset, true), write: (view, offset, value) => view.setInt32(offset, Math.round(value), true) };
+    default:
+      return null;
+  }
+}
+
+// Create Stripe Payment
+async function handleCreatePayment(request, env) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  try {
+    const { planType } = await request.json();
+
+    if (!CONFIG.STRIPE_PRICES[planType]) {
+      return createErrorResponse('Invalid plan type', 400);
+    }
+
+    const stripe = new Stripe(env.STRIPE_SECRET_KEY);
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [{
+        price: CONFIG.STRIPE_PRICES[planType],
+        quantity: 1
+      }],
+      mode: planType.includes('pro') || planType.includes('elite') ? 'subscription' : 'payment',
+      success_url: 'https://omnibackend2.fweago-flavaz.workers.dev/?success=true&session_id={CHECKOUT_SESSION_ID}',
+      cancel_url: 'https://omnibackend2.fweago-flavaz.workers.dev/?canceled=true',
+      metadata: {
+        plan_type: planType,
+        worker_version: CONFIG.WORKER_VERSION
+      }
+    });
+
+    return createResponse({
+      success: true,
+      sessionId: session.id,
+      checkoutUrl: session.url
+    });
+
+  } catch (error) {
+    console.error('Payment creation error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// Stripe Webhook Handler
+async function handleStripeWebhook(request, env) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  try {
+    const body = await request.text();
+    const signature = request.headers.get('stripe-signature');
+
+    const stripe = new Stripe(env.STRIPE_SECRET_KEY);
+    const event = stripe.webhooks.constructEvent(body, signature, env.STRIPE_WEBHOOK_SECRET);
+
+    console.log('Stripe event:', event.type);
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        await handlePaymentSuccess(event.data.object, env);
+        break;
+
+      case 'customer.subscription.deleted':
+        await handleSubscriptionCanceled(event.data.object, env);
+        break;
+
+      case 'invoice.payment_succeeded':
+        await handleSubscriptionRenewal(event.data.object, env);
+        break;
+
+      default:
+        console.log(`Unhandled event type: ${event.type}`);
+    }
+
+    return new Response('OK', { status: 200 });
 
   } catch (error) {
     console.error('Webhook error:', error);
@@ -532,92 +1842,1137 @@ async function verifyPayment(sessionId, planType, env) {
       return false;
     }
 
-    return true;
+    return true;
+
+  } catch (error) {
+    console.error('Payment verification error:', error);
+    return false;
+  }
+}
+
+// Active, unexpired subscription for a session on any plan
+async function getActiveSubscription(sessionId, env) {
+  if (!sessionId) return null;
+
+  const subscription = await env.DB.prepare(`
+    SELECT * FROM user_subscriptions
+    WHERE stripe_session_id = ? AND status = 'active'
+  `).bind(sessionId).first();
+
+  if (!subscription || (subscription.expires_at && subscription.expires_at < Date.now())) {
+    return null;
+  }
+
+  return subscription;
+}
+
+// Record the stage and percent within it; the overall percent follows from PROGRESS_STAGES
+async function updateProgress(env, processId, stage, stageProgress) {
+  const [from, to] = CONFIG.PROGRESS_STAGES[stage];
+  const clamped = Math.min(100, Math.max(0, Math.round(stageProgress || 0)));
+
+  await env.DB.prepare(`
+    UPDATE processing_history
+    SET stage = ?, stage_progress = ?, progress = ?
+    WHERE process_id = ? AND status = 'processing'
+  `).bind(stage, clamped, Math.round(from + (to - from) * clamped / 100), processId).run();
+}
+
+// Progress fields shared by /status and the /progress stream
+function describeProgress(record) {
+  return {
+    processId: record.process_id,
+    status: record.status,
+    stage: record.stage || 'upload',
+    stageProgress: record.stage_progress || 0,
+    progress: record.status === 'completed' ? 100 : record.progress || 0,
+    error: record.error_message
+  };
+}
+
+// Processing Status Handler
+async function handleProcessingStatus(request, env) {
+  const url = new URL(request.url);
+  const processId = url.searchParams.get('processId');
+
+  if (!processId) {
+    return createErrorResponse('Missing process ID', 400);
+  }
+
+  try {
+    const record = await env.DB.prepare(`
+      SELECT * FROM processing_history WHERE process_id = ?
+    `).bind(processId).first();
+
+    if (!record) {
+      return createErrorResponse('Process not found', 404);
+    }
+
+    const detectionConfidence = record.detection_confidence ? JSON.parse(record.detection_confidence) : null;
+
+    return createResponse({
+      ...describeProgress(record),
+      wordsRemoved: record.words_removed || 0,
+      cleanLevel: record.clean_level || DEFAULT_CLEAN_LEVEL,
+      languages: record.detected_languages ? JSON.parse(record.detected_languages) : [],
+      mutes: record.profanity_timestamps ? JSON.parse(record.profanity_timestamps) : [],
+      detections: detectionConfidence && {
+        threshold: detectionConfidence.threshold,
+        confident: detectionConfidence.confident,
+        uncertain: detectionConfidence.uncertain.length
+      },
+      needsReview: detectionConfidence ? detectionConfidence.uncertain : [],
+      lyrics: record.lyrics_alignment ? JSON.parse(record.lyrics_alignment) : null,
+      previewReady: record.status === 'completed'
+    });
+
+  } catch (error) {
+    console.error('Status check error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// Progress as Server-Sent Events. Processing runs in another invocation, so this
+// polls the record and sends an event whenever stage or percent changes, ending
+// the stream once processing completes or fails.
+async function handleProgressStream(request, env) {
+  const url = new URL(request.url);
+  const processId = url.searchParams.get('processId');
+
+  if (!processId) {
+    return createErrorResponse('Missing process ID', 400);
+  }
+
+  const readProgress = async () => {
+    const record = await env.DB.prepare(`
+      SELECT * FROM processing_history WHERE process_id = ?
+    `).bind(processId).first();
+    return record && describeProgress(record);
+  };
+
+  const initial = await readProgress();
+  if (!initial) {
+    return createErrorResponse('Process not found', 404);
+  }
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  const stream = async () => {
+    const deadline = Date.now() + CONFIG.PROGRESS_STREAM_MAX_MS;
+    let progress = initial;
+    let lastSent = null;
+    let lastWrite = 0;
+
+    try {
+      while (true) {
+        const message = JSON.stringify(progress);
+        if (message !== lastSent) {
+          await writer.write(encoder.encode(`event: progress\ndata: ${message}\n\n`));
+          lastSent = message;
+          lastWrite = Date.now();
+        } else if (Date.now() - lastWrite > 15000) {
+          // Keep proxies from closing an idle stream
+          await writer.write(encoder.encode(': heartbeat\n\n'));
+          lastWrite = Date.now();
+        }
+
+        if (progress.status !== 'processing' || Date.now() > deadline) {
+          break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, CONFIG.PROGRESS_POLL_INTERVAL_MS));
+        progress = await readProgress() || progress;
+      }
+      await writer.close();
+    } catch (error) {
+      // Client went away
+      console.log(`Progress stream for ${processId} closed: ${error.message}`);
+    }
+  };
+  stream();
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+// Customer word lists: GET lists them, POST creates one from
+// {sessionId, type, name, words}, DELETE removes ?listId=. Lists belong to the
+// Stripe customer when there is one, so they carry over to later sessions.
+async function handleWordLists(request, env) {
+  const url = new URL(request.url);
+
+  let body = null;
+  if (request.method === 'POST') {
+    const parsed = await parseJsonBody(request);
+    if (!parsed.valid) {
+      return createErrorResponse(parsed.error, 400);
+    }
+    body = parsed.body;
+  }
+
+  try {
+    const sessionId = body ? body.sessionId : url.searchParams.get('sessionId');
+
+    const subscription = await getActiveSubscription(sessionId, env);
+    if (!subscription) {
+      return createErrorResponse('Active subscription required', 402);
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT * FROM custom_word_lists
+      WHERE stripe_session_id = ? OR (stripe_customer_id IS NOT NULL AND stripe_customer_id = ?)
+      ORDER BY created_at
+    `).bind(sessionId, subscription.stripe_customer_id).all().then(result => result.results);
+
+    switch (request.method) {
+      case 'GET':
+        return createResponse({ success: true, lists: existing.map(describeWordList) });
+
+      case 'POST': {
+        if (existing.length >= CONFIG.CUSTOM_WORD_LISTS.maxLists) {
+          return createErrorResponse(`At most ${CONFIG.CUSTOM_WORD_LISTS.maxLists} word lists per subscription`, 409);
+        }
+
+        const validation = validateWordList(body);
+        if (!validation.valid) {
+          return createErrorResponse(validation.error, 400);
+        }
+
+        const listId = 'wl_' + Math.random().toString(36).substring(2) + Date.now().toString(36);
+        const now = Date.now();
+        await env.DB.prepare(`
+          INSERT INTO custom_word_lists
+          (list_id, stripe_session_id, stripe_customer_id, list_type, name, words, word_count, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          listId,
+          sessionId,
+          subscription.stripe_customer_id || null,
+          validation.list.type,
+          validation.list.name,
+          JSON.stringify(validation.list.words),
+          validation.list.words.length,
+          now,
+          now
+        ).run();
+
+        return createResponse({ success: true, list: { listId, ...validation.list, createdAt: now } }, 201);
+      }
+
+      case 'DELETE': {
+        const listId = url.searchParams.get('listId');
+        if (!existing.some(list => list.list_id === listId)) {
+          return createErrorResponse('Word list not found', 404);
+        }
+
+        await env.DB.prepare('DELETE FROM custom_word_lists WHERE list_id = ?').bind(listId).run();
+        return createResponse({ success: true, listId });
+      }
+
+      default:
+        return createErrorResponse('Method not allowed', 405);
+    }
+
+  } catch (error) {
+    console.error('Word list error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// Check a word list body. Entries use the KV list format (plain words or
+// {word | phrase, match, ...}).
+function validateWordList(body) {
+  const { type, name, words } = body || {};
+  const limits = CONFIG.CUSTOM_WORD_LISTS;
+
+  if (!limits.types.includes(type)) {
+    return { valid: false, error: `type must be one of: ${limits.types.join(', ')}` };
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > limits.maxNameLength) {
+    return { valid: false, error: `name is required (at most ${limits.maxNameLength} characters)` };
+  }
+  if (!Array.isArray(words) || words.length === 0 || words.length > limits.maxWordsPerList) {
+    return { valid: false, error: `words must be a list of 1 to ${limits.maxWordsPerList} entries` };
+  }
+
+  try {
+    words.forEach(normalizeProfanityEntry);
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  return { valid: true, list: { type, name: name.trim(), words } };
+}
+
+function describeWordList(record) {
+  return {
+    listId: record.list_id,
+    type: record.list_type,
+    name: record.name,
+    words: JSON.parse(record.words),
+    createdAt: record.created_at
+  };
+}
+
+// The customer's lists for a job; a failure here should not fail the job
+async function loadCustomWordLists(sessionId, env) {
+  if (!sessionId) return [];
+
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT l.* FROM custom_word_lists l
+      JOIN user_subscriptions s ON s.stripe_session_id = ?
+      WHERE l.stripe_session_id = s.stripe_session_id
+         OR (l.stripe_customer_id IS NOT NULL AND l.stripe_customer_id = s.stripe_customer_id)
+      ORDER BY l.created_at
+    `).bind(sessionId).all();
+    return results.map(describeWordList);
+  } catch (error) {
+    console.warn('Failed to load custom word lists:', error);
+    return [];
+  }
+}
+
+// Review Handlers
+//
+// GET /review?processId= returns the flagged segments of a process paused for
+// review. POST /review {processId, sessionId, segments} edits them: an item
+// with an id updates that segment (status accepted | rejected | pending, or
+// new start/end to move it), an item without one adds a segment. POST
+// /review/render {processId, sessionId} renders from the edited list.
+async function handleReview(request, env) {
+  const url = new URL(request.url);
+
+  let body = null;
+  if (request.method === 'POST') {
+    const parsed = await parseJsonBody(request);
+    if (!parsed.valid) {
+      return createErrorResponse(parsed.error, 400);
+    }
+    body = parsed.body;
+  }
+
+  try {
+    const { record, errorResponse } = await getReviewProcess(body ? body.processId : url.searchParams.get('processId'), body?.sessionId, request.method === 'POST', env);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    let segments = JSON.parse(record.review_segments || '[]');
+
+    if (request.method === 'POST') {
+      const edited = applyReviewEdits(segments, body.segments);
+      if (!edited.valid) {
+        return createErrorResponse(edited.error, 400);
+      }
+      segments = edited.segments;
+
+      await env.DB.prepare(`
+        UPDATE processing_history SET review_segments = ?, words_removed = ? WHERE process_id = ?
+      `).bind(
+        JSON.stringify(segments),
+        segments.filter(isMutedSegment).length,
+        record.process_id
+      ).run();
+    } else if (request.method !== 'GET') {
+      return createErrorResponse('Method not allowed', 405);
+    }
+
+    return createResponse({
+      success: true,
+      processId: record.process_id,
+      status: record.status,
+      segments: segments.map(({ position, endPosition, letters, ...segment }) => segment)
+    });
+
+  } catch (error) {
+    console.error('Review error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+async function handleReviewRender(request, env) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  const { valid, body, error } = await parseJsonBody(request);
+  if (!valid) {
+    return createErrorResponse(error, 400);
+  }
+
+  try {
+    const { record, errorResponse } = await getReviewProcess(body.processId, body.sessionId, true, env);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Only one render call can move the process out of review
+    const started = await env.DB.prepare(`
+      UPDATE processing_history
+      SET status = 'processing', stage = 'render', stage_progress = 0, progress = ?
+      WHERE process_id = ? AND status = 'review'
+    `).bind(CONFIG.PROGRESS_STAGES.render[0], record.process_id).run();
+    if (!started.meta?.changes) {
+      return createErrorResponse('Process is not awaiting review', 409);
+    }
+
+    await enqueueProcessing(env, { type: 'render_reviewed', processId: record.process_id });
+
+    return createResponse({ success: true, processId: record.process_id, status: 'processing' }, 202);
+
+  } catch (error) {
+    console.error('Review render error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// The record of a process paused for review. Changes need the session that
+// uploaded it.
+async function getReviewProcess(processId, sessionId, changing, env) {
+  if (!processId) {
+    return { errorResponse: createErrorResponse('Missing process ID', 400) };
+  }
+
+  const record = await env.DB.prepare(`
+    SELECT * FROM processing_history WHERE process_id = ?
+  `).bind(processId).first();
+
+  if (!record) {
+    return { errorResponse: createErrorResponse('Process not found', 404) };
+  }
+  if (record.status !== 'review') {
+    return { errorResponse: createErrorResponse(`Process is not awaiting review (status: ${record.status})`, 409) };
+  }
+  if (changing && record.stripe_session_id && record.stripe_session_id !== sessionId) {
+    return { errorResponse: createErrorResponse('Session does not match this process', 403) };
+  }
+
+  return { record };
+}
+
+// Apply review edits to a copy of the segments, rejecting the whole batch on
+// the first invalid item
+function applyReviewEdits(segments, edits) {
+  if (!Array.isArray(edits) || edits.length === 0 || edits.length > CONFIG.MAX_REVIEW_EDITS) {
+    return { valid: false, error: `segments must be a list of 1 to ${CONFIG.MAX_REVIEW_EDITS} edits` };
+  }
+
+  const result = segments.map(segment => ({ ...segment }));
+  let nextId = Math.max(0, ...result.map(segment => parseInt(segment.id.replace('seg_', ''), 10) || 0)) + 1;
+
+  for (const edit of edits) {
+    if (!edit || typeof edit !== 'object' || Array.isArray(edit)) {
+      return { valid: false, error: 'Each segment edit must be an object' };
+    }
+
+    const segment = edit.id !== undefined
+      ? result.find(existing => existing.id === edit.id)
+      : { id: `seg_${nextId++}`, status: 'accepted', source: 'user', word: '', list: 'review' };
+    if (!segment) {
+      return { valid: false, error: `Unknown segment: ${edit.id}` };
+    }
+
+    if (edit.status !== undefined && !['accepted', 'rejected', 'pending'].includes(edit.status)) {
+      return { valid: false, error: 'status must be accepted, rejected or pending' };
+    }
+
+    const start = edit.start ?? segment.start;
+    const end = edit.end ?? segment.end;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      return { valid: false, error: `Segment ${segment.id} needs a start of 0 or more and an end after it (seconds)` };
+    }
+
+    // A moved segment no longer lines up with the words it was found in, and
+    // is censored at exactly the times given
+    if (start !== segment.start || end !== segment.end) {
+      delete segment.position;
+      delete segment.endPosition;
+      delete segment.letters;
+      segment.exact = true;
+    }
+
+    Object.assign(segment, {
+      start,
+      end,
+      status: edit.status ?? segment.status,
+      ...(typeof edit.word === 'string' ? { word: edit.word } : {})
+    });
+
+    if (edit.id === undefined) {
+      result.push(segment);
+    }
+  }
+
+  return { valid: true, segments: result.sort((a, b) => a.start - b.start) };
+}
+
+// Admin: global profanity lists
+//
+// GET /admin/lists?lang=en[&kind=allow] returns a list, POST adds {words},
+// DELETE removes {words}, PUT bulk-imports {words, mode: merge | replace}.
+// Bodies carry {lang, kind, note}. Every change bumps the language's version
+// in profanity_cache and is kept as a snapshot in profanity_list_audit.
+async function handleAdminLists(request, env) {
+  if (!isAdminRequest(request, env)) {
+    return createErrorResponse('Access denied - missing or invalid admin token', 401);
+  }
+
+  try {
+    if (request.method === 'GET') {
+      const url = new URL(request.url);
+      const target = parseAdminListTarget(url.searchParams.get('lang'), url.searchParams.get('kind'));
+      if (!target.valid) {
+        return createErrorResponse(target.error, 400);
+      }
+
+      const entries = await readAdminList(target.lang, target.kind, env);
+      const cache = await env.DB.prepare(`
+        SELECT version, checksum, word_count, last_updated FROM profanity_cache WHERE language_code = ?
+      `).bind(target.lang).first();
+
+      return createResponse({
+        success: true,
+        lang: target.lang,
+        kind: target.kind,
+        version: cache?.version ?? null,
+        checksum: cache?.checksum ?? null,
+        lastUpdated: cache?.last_updated ?? null,
+        count: entries.length,
+        words: entries
+      });
+    }
+
+    if (!['POST', 'PUT', 'DELETE'].includes(request.method)) {
+      return createErrorResponse('Method not allowed', 405);
+    }
+
+    const { valid, body, error } = await parseJsonBody(request);
+    if (!valid) {
+      return createErrorResponse(error, 400);
+    }
+    const target = parseAdminListTarget(body.lang, body.kind);
+    if (!target.valid) {
+      return createErrorResponse(target.error, 400);
+    }
+
+    const validation = validateAdminListEntries(body.words, target.kind);
+    if (!validation.valid) {
+      return createErrorResponse(validation.error, 400);
+    }
+
+    const current = await readAdminList(target.lang, target.kind, env);
+    const action = { POST: 'add', DELETE: 'remove', PUT: body.mode === 'replace' ? 'replace' : 'import' }[request.method];
+    const change = applyAdminListChange(current, validation.entries, action, target.lang);
+
+    if (change.entries.length > CONFIG.ADMIN_LISTS.maxEntries) {
+      return createErrorResponse(`A list holds at most ${CONFIG.ADMIN_LISTS.maxEntries} entries`, 400);
+    }
+
+    const saved = await saveAdminList(target.lang, target.kind, current, change.entries, action, body.note, request, env);
+
+    return createResponse({
+      success: true,
+      lang: target.lang,
+      kind: target.kind,
+      action,
+      added: change.added,
+      updated: change.updated,
+      removed: change.removed,
+      duplicates: change.duplicates,
+      count: change.entries.length,
+      version: saved.version,
+      checksum: saved.checksum
+    });
+
+  } catch (error) {
+    console.error('Admin list error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// GET /admin/lists/history?lang=en lists recent changes, newest first
+async function handleAdminListHistory(request, env) {
+  if (!isAdminRequest(request, env)) {
+    return createErrorResponse('Access denied - missing or invalid admin token', 401);
+  }
+
+  const url = new URL(request.url);
+  const target = parseAdminListTarget(url.searchParams.get('lang'), 'list');
+  if (!target.valid) {
+    return createErrorResponse(target.error, 400);
+  }
+
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id, language_code, list_kind, version, action, entries_added, entries_removed,
+             word_count, checksum, actor, note, created_at
+      FROM profanity_list_audit
+      WHERE language_code = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `).bind(target.lang, CONFIG.ADMIN_LISTS.historyLimit).all();
+
+    return createResponse({
+      success: true,
+      lang: target.lang,
+      history: results.map(row => ({
+        id: row.id,
+        kind: row.list_kind,
+        version: row.version,
+        action: row.action,
+        added: row.entries_added,
+        removed: row.entries_removed,
+        count: row.word_count,
+        checksum: row.checksum,
+        reportedBy: row.actor,
+        note: row.note,
+        createdAt: row.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Admin list history error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// POST /admin/lists/rollback {lang, version, note} restores the list and
+// allowlist as they were at that version. A kind first changed after that
+// version goes back to its baseline. The rollback is a new version.
+async function handleAdminListRollback(request, env) {
+  if (!isAdminRequest(request, env)) {
+    return createErrorResponse('Access denied - missing or invalid admin token', 401);
+  }
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  try {
+    const { valid, body, error } = await parseJsonBody(request);
+    if (!valid) {
+      return createErrorResponse(error, 400);
+    }
+    const target = parseAdminListTarget(body.lang, 'list');
+    if (!target.valid) {
+      return createErrorResponse(target.error, 400);
+    }
+
+    const version = parseInt(body.version, 10);
+    if (!(version > 0)) {
+      return createErrorResponse('version must be a positive integer', 400);
+    }
+
+    const restored = [];
+    let saved = null;
+    for (const kind of Object.keys(CONFIG.ADMIN_LISTS.kinds)) {
+      const snapshot = await env.DB.prepare(`
+        SELECT snapshot FROM profanity_list_audit
+        WHERE language_code = ? AND list_kind = ? AND (version <= ? OR action = 'baseline')
+        ORDER BY version <= ? DESC, version DESC, id DESC
+        LIMIT 1
+      `).bind(target.lang, kind, version, version).first();
+      if (!snapshot) continue;
+
+      const current = await readAdminList(target.lang, kind, env);
+      const entries = JSON.parse(snapshot.snapshot);
+      saved = await saveAdminList(target.lang, kind, current, entries, 'rollback', body.note || `Rollback to version ${version}`, request, env);
+      restored.push({ kind, count: entries.length });
+    }
+
+    if (restored.length === 0) {
+      return createErrorResponse(`No audit history for ${target.lang} at version ${version}`, 404);
+    }
+
+    return createResponse({ success: true, lang: target.lang, rolledBackTo: version, restored, version: saved.version, checksum: saved.checksum });
+
+  } catch (error) {
+    console.error('Admin list rollback error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// Compare the admin header with ADMIN_API_TOKEN without an early exit
+function isAdminRequest(request, env) {
+  const token = request.headers.get('X-FWEA-Admin') || '';
+  const expected = env.ADMIN_API_TOKEN || '';
+  if (!expected || token.length !== expected.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= token.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+function parseAdminListTarget(lang, kind = 'list') {
+  kind = kind || 'list';
+  if (!CONFIG.PROFANITY_LANGUAGES.includes(lang)) {
+    return { valid: false, error: `lang must be one of: ${CONFIG.PROFANITY_LANGUAGES.join(', ')}` };
+  }
+  if (!CONFIG.ADMIN_LISTS.kinds[kind]) {
+    return { valid: false, error: `kind must be one of: ${Object.keys(CONFIG.ADMIN_LISTS.kinds).join(', ')}` };
+  }
+  return { valid: true, lang, kind };
+}
+
+// Profanity list entries follow the list schema; allowlists are plain words
+function validateAdminListEntries(words, kind) {
+  if (!Array.isArray(words) || words.length === 0) {
+    return { valid: false, error: 'words must be a non-empty list' };
+  }
+
+  try {
+    for (const entry of words) {
+      if (kind === 'allow') {
+        if (typeof entry !== 'string' || !entry.trim()) {
+          throw new Error(`Invalid allowlist entry: ${JSON.stringify(entry)}`);
+        }
+      } else {
+        normalizeProfanityEntry(entry);
+      }
+    }
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  return { valid: true, entries: words };
+}
+
+// Entries are compared in their normalized form, so "Fuck" and
+// {"word": "fuck", ...} are the same entry
+function adminListKey(entry, lang) {
+  const text = typeof entry === 'string' ? entry : entry.phrase ?? entry.word;
+  return normalizeText(text.trim(), { foldDiacritics: FOLD_DIACRITICS_LANGUAGES.includes(lang) });
+}
+
+// Apply an add/remove/import/replace to a list. Adding an entry that is
+// already listed replaces it (new rule or severity); repeats within the
+// request are dropped and counted as duplicates.
+function applyAdminListChange(current, incoming, action, lang) {
+  const seen = new Set();
+  const unique = [];
+  for (const entry of incoming) {
+    const key = adminListKey(entry, lang);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    unique.push(entry);
+  }
+  const duplicates = incoming.length - unique.length;
+
+  if (action === 'remove') {
+    const entries = current.filter(entry => !seen.has(adminListKey(entry, lang)));
+    return { entries, added: 0, updated: 0, removed: current.length - entries.length, duplicates };
+  }
+
+  const base = action === 'replace' ? [] : current;
+  const byKey = new Map(base.map(entry => [adminListKey(entry, lang), entry]));
+  let added = 0;
+  let updated = 0;
+  for (const entry of unique) {
+    const key = adminListKey(entry, lang);
+    if (!byKey.has(key)) {
+      added++;
+    } else if (JSON.stringify(byKey.get(key)) !== JSON.stringify(entry)) {
+      updated++;
+    }
+    byKey.set(key, entry);
+  }
+
+  const entries = [...byKey.values()];
+  const removed = action === 'replace'
+    ? current.filter(entry => !byKey.has(adminListKey(entry, lang))).length
+    : 0;
+  return { entries, added, updated, removed, duplicates };
+}
+
+async function readAdminList(lang, kind, env) {
+  const json = await env.PROFANITY_LISTS.get(`lists/${lang}.${CONFIG.ADMIN_LISTS.kinds[kind]}`);
+  return json ? JSON.parse(json) : [];
+}
+
+// Write a list to KV, bump the language in profanity_cache and record the
+// change. The first change through the API also records the list as it was,
+// so that edit can be rolled back too.
+async function saveAdminList(lang, kind, previous, entries, action, note, request, env) {
+  // Every admin shares ADMIN_API_TOKEN, so the name is only what the caller
+  // says in X-FWEA-Admin-User; it is recorded as self-reported, never verified
+  const actor = request.headers.get('X-FWEA-Admin-User') || null;
+  const now = Date.now();
+
+  const hasHistory = await env.DB.prepare(`
+    SELECT 1 FROM profanity_list_audit WHERE language_code = ? AND list_kind = ? LIMIT 1
+  `).bind(lang, kind).first();
+  if (!hasHistory) {
+    const cache = await env.DB.prepare('SELECT version FROM profanity_cache WHERE language_code = ?').bind(lang).first();
+    await insertListAudit(env, lang, kind, cache?.version ?? 0, 'baseline', previous, previous, null, actor, 'List before the first admin change', now);
+  }
+
+  await env.PROFANITY_LISTS.put(`lists/${lang}.${CONFIG.ADMIN_LISTS.kinds[kind]}`, formatListJson(entries));
+
+  const other = kind === 'list' ? 'allow' : 'list';
+  const otherJson = await env.PROFANITY_LISTS.get(`lists/${lang}.${CONFIG.ADMIN_LISTS.kinds[other]}`);
+  const listJson = kind === 'list' ? formatListJson(entries) : otherJson;
+  const allowJson = kind === 'allow' ? formatListJson(entries) : otherJson;
+  const checksum = await sha256Hex(`${listJson || ''}\n${allowJson || '[]'}`);
+  const wordCount = kind === 'list' ? entries.length : (listJson ? JSON.parse(listJson).length : 0);
+
+  const updated = await env.DB.prepare(`
+    INSERT INTO profanity_cache (language_code, word_count, version, checksum, last_updated)
+    VALUES (?, ?, 1, ?, ?)
+    ON CONFLICT(language_code) DO UPDATE SET
+      word_count = excluded.word_count,
+      version = profanity_cache.version + 1,
+      checksum = excluded.checksum,
+      last_updated = excluded.last_updated
+    RETURNING version
+  `).bind(lang, wordCount, checksum, now).first();
+
+  await insertListAudit(env, lang, kind, updated.version, action, entries, previous, checksum, actor, note, now);
+
+  // This isolate reloads at once; others notice the new version on their next job
+  profanityMatchers.delete(lang);
+  console.log(`Admin ${action} on ${lang} ${kind} by ${actor || 'unnamed admin'}: ${previous.length} -> ${entries.length} entries, v${updated.version}`);
+
+  return { version: updated.version, checksum };
+}
+
+async function insertListAudit(env, lang, kind, version, action, entries, previous, checksum, actor, note, now) {
+  const keys = new Set(entries.map(entry => adminListKey(entry, lang)));
+  const previousKeys = new Set(previous.map(entry => adminListKey(entry, lang)));
+
+  await env.DB.prepare(`
+    INSERT INTO profanity_list_audit
+    (language_code, list_kind, version, action, entries_added, entries_removed, word_count, snapshot, checksum, actor, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    lang,
+    kind,
+    version,
+    action,
+    [...keys].filter(key => !previousKeys.has(key)).length,
+    [...previousKeys].filter(key => !keys.has(key)).length,
+    entries.length,
+    JSON.stringify(entries),
+    checksum,
+    actor,
+    note || null,
+    now
+  ).run();
+}
+
+// One entry per line, the layout of the seed files in lists/
+function formatListJson(entries) {
+  const format = entry => typeof entry === 'string'
+    ? JSON.stringify(entry)
+    : `{${Object.entries(entry).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`;
+  return entries.length > 0 ? `[\n${entries.map(entry => `  ${format(entry)}`).join(',\n')}\n]\n` : '[]\n';
+}
+
+// Download Handler
+async function handleDownload(request, env) {
+  const url = new URL(request.url);
+  const type = url.searchParams.get('type') || 'preview';
+
+  try {
+    const { record, errorResponse } = await getCompletedProcess(url, env);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    const fileKey = type === 'preview' ? record.preview_key : record.cleaned_key;
+    if (!fileKey) {
+      return createErrorResponse('File not found', 404);
+    }
+
+    const audioObject = await env.AUDIO_STORAGE.get(fileKey);
+    if (!audioObject) {
+      return createErrorResponse('Audio file not available', 404);
+    }
+
+    const extension = fileKey.split('.').pop();
+    const baseName = record.original_filename.replace(/\.[^.]+$/, '');
+    const downloadName = `${baseName} (${type === 'preview' ? 'Clean Preview' : 'Clean'}).${extension}`;
+
+    return new Response(audioObject.body, {
+      headers: {
+        'Content-Type': audioObject.httpMetadata?.contentType || CONFIG.OUTPUT_FORMATS[extension]?.contentType || 'application/octet-stream',
+        'Content-Disposition': getContentDisposition(downloadName),
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'public, max-age=3600'
+      }
+    });
+
+  } catch (error) {
+    console.error('Download error:', error);
+    return createErrorResponse(error.message, 500);
+  }
+}
+
+// The finished processing record for ?processId=, as /download and
+// /transcript require it
+async function getCompletedProcess(url, env) {
+  const processId = url.searchParams.get('processId');
+  if (!processId) {
+    return { errorResponse: createErrorResponse('Missing process ID', 400) };
+  }
+
+  const record = await env.DB.prepare(`
+    SELECT * FROM processing_history WHERE process_id = ?
+  `).bind(processId).first();
+
+  if (!record || record.status !== 'completed') {
+    return { errorResponse: createErrorResponse('Processing not completed', 404) };
+  }
+
+  return { record };
+}
+
+// Transcript Handler: ?format=json|srt|vtt|lrc and ?variant=censored|original.
+// Flagged words are marked (a flagged field in JSON, <c.flagged> in WebVTT,
+// red in SRT, *asterisks* in LRC) unless ?mark=0.
+async function handleTranscript(request, env) {
+  const url = new URL(request.url);
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
+  const variant = url.searchParams.get('variant') || 'censored';
+  const mark = url.searchParams.get('mark') !== '0';
+
+  if (!CONFIG.TRANSCRIPT_FORMATS[format]) {
+    return createErrorResponse(`Unsupported transcript format: ${format}. Supported: ${Object.keys(CONFIG.TRANSCRIPT_FORMATS).join(', ')}`, 400);
+  }
+  if (!['censored', 'original'].includes(variant)) {
+    return createErrorResponse('variant must be censored or original', 400);
+  }
+
+  try {
+    const { record, errorResponse } = await getCompletedProcess(url, env);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    if (!record.transcript_key) {
+      return createErrorResponse('Transcript not found', 404);
+    }
+
+    const transcriptObject = await env.AUDIO_STORAGE.get(record.transcript_key);
+    if (!transcriptObject) {
+      return createErrorResponse('Transcript not available', 404);
+    }
+
+    const transcript = await transcriptObject.json();
+    const words = transcript.words.map(word => ({
+      text: variant === 'censored' ? word.cleaned : word.original,
+      start: word.start,
+      end: word.end,
+      flagged: word.censored
+    }));
+
+    const baseName = record.original_filename.replace(/\.[^.]+$/, '');
+    const fileName = `${baseName} (${variant === 'censored' ? 'Clean' : 'Original'} Transcript).${format}`;
+    const body = format === 'json'
+      ? JSON.stringify({
+        processId: record.process_id,
+        variant,
+        maskStyle: transcript.maskStyle,
+        text: variant === 'censored' ? transcript.cleaned : transcript.original,
+        words
+      }, null, 2)
+      : formatTranscript(words, format, mark);
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': `${CONFIG.TRANSCRIPT_FORMATS[format].contentType}; charset=utf-8`,
+        'Content-Disposition': getContentDisposition(fileName),
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'public, max-age=3600'
+      }
+    });
 
   } catch (error) {
-    console.error('Payment verification error:', error);
-    return false;
+    console.error('Transcript error:', error);
+    return createErrorResponse(error.message, 500);
   }
 }
 
-// Processing Status Handler
-async function handleProcessingStatus(request, env) {
+// Censor segments as a DAW file: ?format=edl|csv|audacity|reaper, and ?fps=
+// for the EDL's timecode rate
+async function handleSegmentsExport(request, env) {
   const url = new URL(request.url);
-  const processId = url.searchParams.get('processId');
+  const format = (url.searchParams.get('format') || 'csv').toLowerCase();
+  const frameRate = Number(url.searchParams.get('fps') || DEFAULT_EDL_FRAME_RATE);
 
-  if (!processId) {
-    return createErrorResponse('Missing process ID', 400);
+  if (!CONFIG.SEGMENT_FORMATS[format]) {
+    return createErrorResponse(`Unsupported segment format: ${format}. Supported: ${Object.keys(CONFIG.SEGMENT_FORMATS).join(', ')}`, 400);
+  }
+  if (!EDL_FRAME_RATES.includes(frameRate)) {
+    return createErrorResponse(`Unsupported frame rate: ${frameRate}. Supported: ${EDL_FRAME_RATES.join(', ')}`, 400);
   }
 
   try {
-    const record = await env.DB.prepare(`
-      SELECT * FROM processing_history WHERE process_id = ?
-    `).bind(processId).first();
-
-    if (!record) {
-      return createErrorResponse('Process not found', 404);
+    const { record, errorResponse } = await getCompletedProcess(url, env);
+    if (errorResponse) {
+      return errorResponse;
     }
 
-    return createResponse({
-      processId,
-      status: record.status,
-      wordsRemoved: record.words_removed || 0,
-      languages: record.detected_languages ? JSON.parse(record.detected_languages) : [],
-      previewReady: record.status === 'completed',
-      error: record.error_message
+    const segments = JSON.parse(record.profanity_timestamps || '[]');
+    const baseName = record.original_filename.replace(/\.[^.]+$/, '');
+    const { contentType, extension } = CONFIG.SEGMENT_FORMATS[format];
+
+    return new Response(formatSegments(segments, format, { title: baseName, frameRate }), {
+      headers: {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Disposition': getContentDisposition(`${baseName} (Censor Segments).${extension}`),
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'public, max-age=3600'
+      }
     });
 
   } catch (error) {
-    console.error('Status check error:', error);
+    console.error('Segments export error:', error);
     return createErrorResponse(error.message, 500);
   }
 }
 
-// Download Handler
-async function handleDownload(request, env) {
+// Compliance Report Handler: ?format=json (default) or html, a printable page
+async function handleComplianceReport(request, env) {
   const url = new URL(request.url);
-  const processId = url.searchParams.get('processId');
-  const type = url.searchParams.get('type') || 'preview';
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
 
-  if (!processId) {
-    return createErrorResponse('Missing process ID', 400);
+  if (!['json', 'html'].includes(format)) {
+    return createErrorResponse(`Unsupported report format: ${format}. Supported: json, html`, 400);
   }
 
   try {
-    const record = await env.DB.prepare(`
-      SELECT * FROM processing_history WHERE process_id = ?
-    `).bind(processId).first();
-
-    if (!record || record.status !== 'completed') {
-      return createErrorResponse('Processing not completed', 404);
+    const { record, errorResponse } = await getCompletedProcess(url, env);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    if (!record.report_key) {
+      return createErrorResponse('Report not found', 404);
     }
 
-    const fileKey = type === 'preview' ? record.preview_key : record.cleaned_key;
-    if (!fileKey) {
-      return createErrorResponse('File not found', 404);
+    const reportObject = await env.AUDIO_STORAGE.get(record.report_key);
+    if (!reportObject) {
+      return createErrorResponse('Report not available', 404);
     }
 
-    const audioObject = await env.AUDIO_STORAGE.get(fileKey);
-    if (!audioObject) {
-      return createErrorResponse('Audio file not available', 404);
+    if (format === 'json') {
+      const baseName = record.original_filename.replace(/\.[^.]+$/, '');
+      return new Response(await reportObject.text(), {
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Disposition': getContentDisposition(`${baseName} (Compliance Report).json`),
+          'Access-Control-Allow-Origin': '*',
+          'Cache-Control': 'public, max-age=3600'
+        }
+      });
     }
 
-    return new Response(audioObject.body, {
+    return new Response(getComplianceReportHTML(await reportObject.json()), {
       headers: {
-        'Content-Type': 'audio/mpeg',
-        'Content-Disposition': `attachment; filename="cleaned_${type}_${record.original_filename}"`,
+        'Content-Type': 'text/html; charset=utf-8',
         'Access-Control-Allow-Origin': '*',
         'Cache-Control': 'public, max-age=3600'
       }
     });
 
   } catch (error) {
-    console.error('Download error:', error);
+    console.error('Report error:', error);
     return createErrorResponse(error.message, 500);
   }
 }
 
+// Group words into cues: a new cue starts after a pause, a sentence end, or
+// when the cue would grow past TRANSCRIPT_CUE's length or duration. Words
+// censored away entirely (the rest of a "[censored]" phrase) lend their time
+// to the word before them.
+function groupTranscriptCues(words) {
+  const { maxCharacters, maxSeconds, maxGapSeconds } = CONFIG.TRANSCRIPT_CUE;
+  const cues = [];
+  let cue = null;
+
+  for (const word of words) {
+    const previous = cue && cue.words[cue.words.length - 1];
+    if (!word.text) {
+      if (previous) previous.end = cue.end = word.end;
+      continue;
+    }
+
+    const startsNew = !cue ||
+      word.start - previous.end > maxGapSeconds ||
+      word.end - cue.start > maxSeconds ||
+      joinTranscriptWords([...cue.words, word].map(entry => entry.text)).length > maxCharacters ||
+      /[.?!。！？]$/.test(previous.text);
+
+    if (startsNew) {
+      cue = { start: word.start, end: word.end, words: [] };
+      cues.push(cue);
+    }
+    cue.words.push(word);
+    cue.end = word.end;
+  }
+
+  return cues;
+}
+
+function formatTranscript(words, format, mark) {
+  const cues = groupTranscriptCues(words);
+  const markWord = {
+    srt: text => `<font color="#FF0000">${text}</font>`,
+    vtt: text => `<c.flagged>${text}</c>`,
+    lrc: text => `*${text}*`
+  }[format];
+  // SRT and WebVTT cue text is markup, so the words' own &, < and > are escaped
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cueText = cue => joinTranscriptWords(cue.words.map(word => mark && word.flagged ? markWord(escape(word.text)) : escape(word.text)));
+
+  if (format === 'srt') {
+    return cues.map((cue, index) =>
+      `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cueText(cue)}\n`
+    ).join('\n');
+  }
+
+  if (format === 'vtt') {
+    const style = mark ? 'STYLE\n::cue(.flagged) {\n  color: #FF0000;\n}\n\n' : '';
+    return `WEBVTT\n\n${style}${cues.map(cue =>
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cueText(cue)}\n`
+    ).join('\n')}`;
+  }
+
+  // Enhanced LRC: a line timestamp plus one before each word, for karaoke
+  return cues.map(cue => `${formatLrcTimestamp(cue.start, '[', ']')}${joinTranscriptWords(cue.words.map(word =>
+    `${formatLrcTimestamp(word.start, '<', '>')}${mark && word.flagged ? markWord(word.text) : word.text}`
+  ))}`).join('\n') + '\n';
+}
+
+// HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+function formatTimestamp(seconds, separator) {
+  const milliseconds = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:` +
+    `${pad(Math.floor(milliseconds / 1000) % 60)}${separator}${pad(milliseconds % 1000, 3)}`;
+}
+
+// [mm:ss.xx] line and <mm:ss.xx> word timestamps
+function formatLrcTimestamp(seconds, open, close) {
+  const centiseconds = Math.max(0, Math.round(seconds * 100));
+  const pad = value => String(value).padStart(2, '0');
+  return `${open}${pad(Math.floor(centiseconds / 6000))}:${pad(Math.floor(centiseconds / 100) % 60)}.${pad(centiseconds % 100)}${close}`;
+}
+
 // Utility Functions
+
+// Quoted ASCII fallback plus RFC 5987 UTF-8 name for non-ASCII titles
+function getContentDisposition(fileName) {
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())}`;
+}
 function validateAudioFile(file) {
   const extension = file.name.split('.').pop().toLowerCase();
 
@@ -638,6 +2993,312 @@ function validateAudioFile(file) {
   return { valid: true };
 }
 
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+
+  return btoa(binary);
+}
+
+function readAscii(bytes, offset, length) {
+  if (offset < 0 || offset + length > bytes.length) return '';
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function writeAscii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    bytes[offset + i] = text.charCodeAt(i);
+  }
+}
+
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+function writeUint32BE(bytes, offset, value) {
+  bytes[offset] = (value >>> 24) & 0xFF;
+  bytes[offset + 1] = (value >>> 16) & 0xFF;
+  bytes[offset + 2] = (value >>> 8) & 0xFF;
+  bytes[offset + 3] = value & 0xFF;
+}
+
+function readBits(bytes, bitOffset, count) {
+  let value = 0;
+  for (let i = 0; i < count; i++) {
+    const bit = bitOffset + i;
+    value = (value << 1) | ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+  }
+  return value;
+}
+
+function writeBits(bytes, bitOffset, count, value) {
+  for (let i = 0; i < count; i++) {
+    const bit = bitOffset + i;
+    const mask = 1 << (7 - (bit & 7));
+    if ((value >> (count - 1 - i)) & 1) {
+      bytes[bit >> 3] |= mask;
+    } else {
+      bytes[bit >> 3] &= ~mask;
+    }
+  }
+}
+
+// CRC-16 (polynomial 0x8005) as used for MPEG audio frame checksums
+function crc16Mpeg(bytes) {
+  let crc = 0xFFFF;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+
+// Reflected CRC-16 (polynomial 0xA001) used for the LAME tag checksum
+function crc16Lame(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+    }
+  }
+  return crc;
+}
+
+// Read outputFormat/sampleRate/bitDepth from the upload form and check them
+// against the plan. outputFormat 'keep' renders in the upload's own format.
+function parseOutputSettings(formData, planType, fileName) {
+  const quality = CONFIG.QUALITY_SETTINGS[planType] || CONFIG.QUALITY_SETTINGS.single_track;
+  const requested = (formData.get('outputFormat') || 'mp3').toLowerCase();
+  const format = requested === 'keep' ? fileName.split('.').pop().toLowerCase() : requested;
+
+  if (!CONFIG.OUTPUT_FORMATS[format]) {
+    return {
+      valid: false,
+      error: `Unsupported output format: ${format}. Supported: keep, ${Object.keys(CONFIG.OUTPUT_FORMATS).join(', ')}`
+    };
+  }
+  if (!quality.formats.includes(format)) {
+    return { valid: false, error: `Output format ${format} is not available on the ${planType} plan` };
+  }
+
+  const formatSettings = CONFIG.OUTPUT_FORMATS[format];
+  const sampleRate = formData.get('sampleRate') ? Number(formData.get('sampleRate')) : null;
+  if (sampleRate !== null) {
+    if (!CONFIG.SAMPLE_RATES.includes(sampleRate)) {
+      return {
+        valid: false,
+        error: `Unsupported sample rate: ${formData.get('sampleRate')}. Supported: ${CONFIG.SAMPLE_RATES.join(', ')}`
+      };
+    }
+    if (sampleRate > quality.maxSampleRate) {
+      return { valid: false, error: `Sample rate must be at most ${quality.maxSampleRate} on the ${planType} plan` };
+    }
+    if (formatSettings.maxSampleRate && sampleRate > formatSettings.maxSampleRate) {
+      return { valid: false, error: `${format} supports sample rates up to ${formatSettings.maxSampleRate}` };
+    }
+  }
+
+  let bitDepth = null;
+  if (formatSettings.lossless) {
+    bitDepth = Number(formData.get('bitDepth') || '16');
+    if (!formatSettings.bitDepths.includes(bitDepth)) {
+      return { valid: false, error: `${format} supports bit depths: ${formatSettings.bitDepths.join(', ')}` };
+    }
+    if (!quality.bitDepths.includes(bitDepth)) {
+      return { valid: false, error: `${bitDepth}-bit output is not available on the ${planType} plan` };
+    }
+  }
+
+  return { valid: true, output: { format, sampleRate, bitDepth } };
+}
+
+// Read masteringPreset/masteringOptions from the upload form. The encoder
+// validates the individual option values.
+function parseMasteringSettings(formData, planType) {
+  const quality = CONFIG.QUALITY_SETTINGS[planType] || CONFIG.QUALITY_SETTINGS.single_track;
+  const preset = formData.get('masteringPreset') || null;
+
+  if (preset && !quality.masteringPresets.includes(preset)) {
+    return {
+      valid: false,
+      error: `Mastering preset ${preset} is not available on the ${planType} plan. Available: ${quality.masteringPresets.join(', ')}`
+    };
+  }
+
+  let options = null;
+  const optionsJson = formData.get('masteringOptions');
+  if (optionsJson) {
+    try {
+      options = JSON.parse(optionsJson);
+    } catch (error) {
+      return { valid: false, error: 'masteringOptions must be valid JSON' };
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return { valid: false, error: 'masteringOptions must be a JSON object' };
+    }
+  }
+
+  return { valid: true, mastering: { preset, options } };
+}
+
+// Read censorMode/censorOptions/censorSound from the upload form
+function parseCensorSettings(formData) {
+  const mode = formData.get('censorMode') || 'mute';
+  if (!CONFIG.CENSOR_MODES.includes(mode)) {
+    return {
+      valid: false,
+      error: `Unsupported censor mode: ${mode}. Supported: ${CONFIG.CENSOR_MODES.join(', ')}`
+    };
+  }
+
+  let options = {};
+  const optionsJson = formData.get('censorOptions');
+  if (optionsJson) {
+    try {
+      options = JSON.parse(optionsJson);
+    } catch (error) {
+      return { valid: false, error: 'censorOptions must be valid JSON' };
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return { valid: false, error: 'censorOptions must be a JSON object' };
+    }
+  }
+
+  if (mode === 'sound_effect') {
+    const censorSound = formData.get('censorSound');
+    if (!censorSound || typeof censorSound === 'string') {
+      return { valid: false, error: 'censorSound file is required for the sound_effect censor mode' };
+    }
+
+    const soundValidation = validateAudioFile(censorSound);
+    if (!soundValidation.valid) {
+      return { valid: false, error: `censorSound: ${soundValidation.error}` };
+    }
+  }
+
+  return { valid: true, censor: { mode, options } };
+}
+
+// Read cleanLevel from the upload form: kids mutes everything, radio strong
+// words and slurs, light only slurs
+function parseCleanLevel(formData) {
+  const cleanLevel = formData.get('cleanLevel') || DEFAULT_CLEAN_LEVEL;
+  if (!CLEAN_LEVELS[cleanLevel]) {
+    return {
+      valid: false,
+      error: `Unsupported clean level: ${cleanLevel}. Supported: ${Object.keys(CLEAN_LEVELS).join(', ')}`
+    };
+  }
+
+  return { valid: true, cleanLevel };
+}
+
+// Read languages (comma separated codes) from the upload form. These are
+// checked on top of whatever Whisper detects, for mixed-language tracks.
+function parseDetectionLanguages(formData) {
+  const languages = (formData.get('languages') || '')
+    .split(',')
+    .map(language => language.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unsupported = languages.filter(language => !CONFIG.PROFANITY_LANGUAGES.includes(language));
+  if (unsupported.length > 0) {
+    return {
+      valid: false,
+      error: `Unsupported languages: ${unsupported.join(', ')}. Supported: ${CONFIG.PROFANITY_LANGUAGES.join(', ')}`
+    };
+  }
+
+  return { valid: true, languages: [...new Set(languages)] };
+}
+
+// Read optional lyrics from the upload form, as a text field or a .txt/.lrc
+// file. Plain text is aligned by word order alone; LRC line times also
+// anchor each line.
+async function parseLyricsUpload(formData) {
+  const lyrics = formData.get('lyrics');
+  if (!lyrics) {
+    return { valid: true, lyricsText: null };
+  }
+
+  const size = typeof lyrics === 'string' ? new TextEncoder().encode(lyrics).length : lyrics.size;
+  if (size > CONFIG.MAX_LYRICS_SIZE) {
+    return { valid: false, error: `Lyrics too large. Maximum size: ${CONFIG.MAX_LYRICS_SIZE / 1024}KB` };
+  }
+
+  const lyricsText = typeof lyrics === 'string' ? lyrics : await lyrics.text();
+  const wordCount = getLyricWords(parseLyrics(lyricsText)).length;
+  if (wordCount === 0) {
+    return { valid: false, error: 'Lyrics contain no words' };
+  }
+  if (wordCount > MAX_LYRIC_WORDS) {
+    return { valid: false, error: `Lyrics too long. Maximum: ${MAX_LYRIC_WORDS} words` };
+  }
+
+  return { valid: true, lyricsText };
+}
+
+// Read an optional segment file (EDL, CSV, Audacity labels or Reaper regions)
+// from the upload form. segmentsFormat overrides the format worked out from
+// the file; segmentsFrameRate is the EDL's timecode rate.
+async function parseSegmentsUpload(formData) {
+  const segmentsFile = formData.get('segments');
+  if (!segmentsFile) {
+    return { valid: true, segments: null };
+  }
+  if (typeof segmentsFile === 'string') {
+    return { valid: false, error: 'segments must be a file' };
+  }
+  if (segmentsFile.size > CONFIG.SEGMENT_FILE.maxSize) {
+    return { valid: false, error: `Segment file too large. Maximum size: ${CONFIG.SEGMENT_FILE.maxSize / 1024}KB` };
+  }
+
+  const text = await segmentsFile.text();
+  const format = (formData.get('segmentsFormat') || detectSegmentFormat(text, segmentsFile.name)).toLowerCase();
+  if (!CONFIG.SEGMENT_FORMATS[format]) {
+    return { valid: false, error: `Unsupported segment format: ${format}. Supported: ${Object.keys(CONFIG.SEGMENT_FORMATS).join(', ')}` };
+  }
+
+  const frameRate = Number(formData.get('segmentsFrameRate') || DEFAULT_EDL_FRAME_RATE);
+  if (!EDL_FRAME_RATES.includes(frameRate)) {
+    return { valid: false, error: `Unsupported frame rate: ${frameRate}. Supported: ${EDL_FRAME_RATES.join(', ')}` };
+  }
+
+  const { segments, errors } = parseSegments(text, format, { frameRate });
+  if (errors.length > 0) {
+    return { valid: false, error: `Invalid ${format} segment file: ${errors.slice(0, 5).join('; ')}` };
+  }
+  if (segments.length === 0 || segments.length > CONFIG.SEGMENT_FILE.maxSegments) {
+    return { valid: false, error: `Segment file must hold 1 to ${CONFIG.SEGMENT_FILE.maxSegments} segments` };
+  }
+
+  return { valid: true, format, segments: segments.sort((a, b) => a.start - b.start) };
+}
+
+// Read confidenceThreshold (0 to 1) from the upload form. Detections less
+// confident than this are listed for review rather than muted.
+function parseConfidenceThreshold(formData) {
+  const value = formData.get('confidenceThreshold');
+  if (value === null || value === '') {
+    return { valid: true, confidenceThreshold: CONFIG.DEFAULT_CONFIDENCE_THRESHOLD };
+  }
+
+  const confidenceThreshold = Number(value);
+  if (!Number.isFinite(confidenceThreshold) || confidenceThreshold < 0 || confidenceThreshold > 1) {
+    return { valid: false, error: 'confidenceThreshold must be a number from 0 to 1' };
+  }
+
+  return { valid: true, confidenceThreshold };
+}
+
 function generateProcessId() {
   return 'fwea_' + Math.random().toString(36).substring(2) + Date.now().toString(36);
 }
@@ -659,28 +3320,19 @@ function createErrorResponse(message, status = 500) {
   }, status);
 }
 
-function levenshteinDistance(str1, str2) {
-  const matrix = [];
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
-  }
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
+// Read a request body that must be a JSON object. Malformed JSON, null, arrays
+// and other values are the client's mistake, not a server error.
+async function parseJsonBody(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return { valid: false, error: 'Request body must be valid JSON' };
   }
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
-    }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' };
   }
-  return matrix[str2.length][str1.length];
+  return { valid: true, body };
 }
 
 // Frontend HTML
@@ -693,6 +3345,125 @@ function handleFrontend() {
   });
 }
 
+// Compliance report as a page meant for printing or saving as PDF
+function getComplianceReportHTML(report) {
+  const escape = value => String(value ?? '—')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const seconds = value => Number.isFinite(value) ? formatTimestamp(value, '.') : null;
+  const bytes = value => Number.isFinite(value) ? `${(value / (1024 * 1024)).toFixed(2)} MB` : null;
+  const row = (label, value) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`;
+  const { settings } = report;
+  const censorOptions = Object.entries(settings.censor.options || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+
+  const segmentRows = report.segments.map(segment => `
+            <tr>
+                <td>${segment.index}</td>
+                <td>${escape(seconds(segment.start))}</td>
+                <td>${escape(seconds(segment.end))}</td>
+                <td>${escape(segment.word || null)}</td>
+                <td>${escape(segment.language)}</td>
+                <td>${escape(segment.severity)}</td>
+                <td>${escape(segment.confidence === null ? null : `${Math.round(segment.confidence * 100)}%`)}</td>
+                <td>${escape(segment.censorMethod)}</td>
+                <td>${escape(segment.source)}</td>
+            </tr>`).join('');
+  const needsReviewRows = (report.needsReview || []).map(segment => `
+            <tr>
+                <td>${escape(seconds(segment.start))}</td>
+                <td>${escape(seconds(segment.end))}</td>
+                <td>${escape(segment.word || null)}</td>
+                <td>${escape(segment.language)}</td>
+                <td>${escape(segment.severity)}</td>
+                <td>${escape(segment.confidence === null ? null : `${Math.round(segment.confidence * 100)}%`)}</td>
+            </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Compliance Report - ${escape(report.originalFilename)}</title>
+    <style>
+        body {
+            font-family: 'Inter', 'Segoe UI', system-ui, sans-serif;
+            color: #111111;
+            margin: 32px;
+            font-size: 13px;
+        }
+
+        h1 { font-size: 20px; margin-bottom: 4px; }
+        h2 { font-size: 15px; margin-top: 28px; border-bottom: 1px solid #cccccc; padding-bottom: 4px; }
+        .meta { color: #555555; }
+
+        table { border-collapse: collapse; width: 100%; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eeeeee; vertical-align: top; }
+        .details th { width: 180px; color: #555555; font-weight: normal; }
+        .segments th { background: #f4f4f4; }
+        .hash { font-family: monospace; word-break: break-all; }
+
+        @media print {
+            body { margin: 0; }
+            .segments tr { page-break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <h1>Broadcast Compliance Report</h1>
+    <div class="meta">${escape(report.originalFilename)} &middot; ${escape(report.processId)} &middot; FWEA-I ${escape(report.workerVersion)}</div>
+
+    <h2>Files</h2>
+    <table class="details">
+        ${row('Original duration', seconds(report.original.duration))}
+        ${row('Original size', bytes(report.original.size))}
+        <tr><th>Original SHA-256</th><td class="hash">${escape(report.original.sha256)}</td></tr>
+        ${row('Cleaned duration', seconds(report.cleaned.duration))}
+        ${row('Cleaned size', bytes(report.cleaned.size))}
+        ${row('Cleaned format', [report.cleaned.format, report.cleaned.sampleRate && `${report.cleaned.sampleRate} Hz`].filter(Boolean).join(', '))}
+        ${row('Cleaned loudness', report.cleaned.loudness === null ? null : `${report.cleaned.loudness} LUFS`)}
+        <tr><th>Cleaned SHA-256</th><td class="hash">${escape(report.cleaned.sha256)}</td></tr>
+    </table>
+
+    <h2>Settings</h2>
+    <table class="details">
+        ${row('Plan', report.planType)}
+        ${row('Detection', settings.detection)}
+        ${row('Clean level', settings.cleanLevel)}
+        ${row('Languages', [...new Set([...settings.detectedLanguages, ...settings.languages])].join(', ') || null)}
+        ${row('Confidence threshold', settings.confidenceThreshold === undefined ? null : `${Math.round(settings.confidenceThreshold * 100)}%`)}
+        ${row('Censor method', censorOptions ? `${settings.censor.mode} (${censorOptions})` : settings.censor.mode)}
+        ${row('Output', settings.output.format)}
+        ${row('Mastering', settings.mastering?.preset || 'plan default')}
+        ${row('Reviewed before render', settings.reviewed ? 'yes' : 'no')}
+        ${row('Uploaded', report.timestamps.uploadedAt)}
+        ${row('Completed', report.timestamps.completedAt)}
+    </table>
+
+    <h2>Censored Segments (${report.segments.length})</h2>
+    <table class="segments">
+        <thead>
+            <tr>
+                <th>#</th><th>Start</th><th>End</th><th>Word</th><th>Language</th>
+                <th>Severity</th><th>Confidence</th><th>Method</th><th>Source</th>
+            </tr>
+        </thead>
+        <tbody>${segmentRows || `
+            <tr><td colspan="9">No segments were censored.</td></tr>`}
+        </tbody>
+    </table>${needsReviewRows ? `
+
+    <h2>Uncertain Detections, Not Censored (${report.needsReview.length})</h2>
+    <table class="segments">
+        <thead>
+            <tr>
+                <th>Start</th><th>End</th><th>Word</th><th>Language</th><th>Severity</th><th>Confidence</th>
+            </tr>
+        </thead>
+        <tbody>${needsReviewRows}
+        </tbody>
+    </table>` : ''}
+</body>
+</html>`;
+}
+
 function getFrontendHTML() {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -1366,25 +4137,25 @@ function getFrontendHTML() {
             </div>
 
             <div class="processing-steps">
-                <div class="step active" id="stepAnalysis">
+                <div class="step active" id="stepUpload">
+                    <div class="step-icon">📤</div>
+                    <div>Upload</div>
+                </div>
+                <div class="step" id="stepTranscription">
                     <div class="step-icon">🔍</div>
-                    <div>Audio Analysis</div>
+                    <div>Transcription</div>
                 </div>
-                <div class="step" id="stepLanguage">
+                <div class="step" id="stepDetection">
                     <div class="step-icon">🌍</div>
-                    <div>Language Detection</div>
+                    <div>Content Detection</div>
                 </div>
-                <div class="step" id="stepCleaning">
-                    <div class="step-icon">🧹</div>
-                    <div>Content Filtering</div>
-                </div>
-                <div class="step" id="stepReconstruction">
+                <div class="step" id="stepRender">
                     <div class="step-icon">🎵</div>
-                    <div>Audio Reconstruction</div>
+                    <div>Audio Rendering</div>
                 </div>
-                <div class="step" id="stepEnhancement">
+                <div class="step" id="stepPreview">
                     <div class="step-icon">✨</div>
-                    <div>Quality Enhancement</div>
+                    <div>Preview</div>
                 </div>
             </div>
         </section>
@@ -1433,7 +4204,17 @@ function getFrontendHTML() {
             API_BASE: 'https://omnibackend2.fweago-flavaz.workers.dev',
             SUPPORTED_FORMATS: ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg'],
             MAX_FILE_SIZE: 200 * 1024 * 1024,
-            POLL_INTERVAL: 3000
+            POLL_INTERVAL: 3000,
+            UPLOAD_PROGRESS_END: 10 // upload is the first 10% of overall progress
+        };
+
+        // Processing stages reported by /progress and /status
+        const STAGES = {
+            upload: { stepId: 'stepUpload', text: 'Uploading file...' },
+            transcription: { stepId: 'stepTranscription', text: 'Transcribing vocals...' },
+            detection: { stepId: 'stepDetection', text: 'Detecting explicit content...' },
+            render: { stepId: 'stepRender', text: 'Rendering clean audio...' },
+            preview: { stepId: 'stepPreview', text: 'Building preview...' }
         };
 
         // Global state
@@ -1441,6 +4222,7 @@ function getFrontendHTML() {
         let currentProcessId = null;
         let currentSessionId = null;
         let pollingTimer = null;
+        let progressStream = null;
 
         // DOM elements
         const elements = {
@@ -1615,26 +4397,27 @@ function getFrontendHTML() {
         async function uploadFile(file) {
             try {
                 showProcessing(true);
-                updateProgress(0, 'Uploading file...');
+                showStageProgress({ stage: 'upload', stageProgress: 0, progress: 0 });
 
                 const formData = new FormData();
                 formData.append('audio', file);
                 formData.append('planType', selectedPlan);
                 formData.append('sessionId', currentSessionId);
 
-                const response = await fetch(\`\${CONFIG.API_BASE}/process-audio\`, {
-                    method: 'POST',
-                    body: formData
+                const response = await postWithUploadProgress(\`\${CONFIG.API_BASE}/process-audio\`, formData, (percent) => {
+                    showStageProgress({
+                        stage: 'upload',
+                        stageProgress: percent,
+                        progress: percent * CONFIG.UPLOAD_PROGRESS_END / 100
+                    });
                 });
 
-                const result = await response.json();
+                const result = response.body;
                 if (!response.ok) {
                     throw new Error(result.error);
                 }
 
                 currentProcessId = result.processId;
-                updateProgress(25, 'Processing started...');
-
                 startPolling();
 
             } catch (error) {
@@ -1643,46 +4426,99 @@ function getFrontendHTML() {
             }
         }
 
+        // fetch() cannot report upload progress, XMLHttpRequest can
+        function postWithUploadProgress(url, formData, onProgress) {
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                xhr.open('POST', url);
+                xhr.responseType = 'json';
+                xhr.upload.onprogress = (event) => {
+                    if (event.lengthComputable) {
+                        onProgress(event.loaded / event.total * 100);
+                    }
+                };
+                xhr.onload = () => resolve({
+                    ok: xhr.status >= 200 && xhr.status < 300,
+                    body: xhr.response || { error: \`HTTP \${xhr.status}\` }
+                });
+                xhr.onerror = () => reject(new Error('Network error'));
+                xhr.send(formData);
+            });
+        }
+
+        // Follow progress over SSE, falling back to polling /status when the
+        // browser has no EventSource or the stream cannot be (re)opened
         function startPolling() {
-            let step = 0;
-            const steps = [
-                { progress: 35, text: 'Analyzing audio structure...', stepId: 'stepAnalysis' },
-                { progress: 50, text: 'Detecting languages...', stepId: 'stepLanguage' },
-                { progress: 70, text: 'Filtering content...', stepId: 'stepCleaning' },
-                { progress: 85, text: 'Reconstructing audio...', stepId: 'stepReconstruction' },
-                { progress: 95, text: 'Enhancing quality...', stepId: 'stepEnhancement' }
-            ];
+            if (window.EventSource) {
+                progressStream = new EventSource(\`\${CONFIG.API_BASE}/progress?processId=\${currentProcessId}\`);
+                progressStream.addEventListener('progress', (event) => {
+                    handleProgress(JSON.parse(event.data));
+                });
+                progressStream.onerror = () => {
+                    // The browser reconnects on its own unless the stream is closed for good
+                    if (progressStream && progressStream.readyState === EventSource.CLOSED) {
+                        stopProgress();
+                        pollStatus();
+                    }
+                };
+                return;
+            }
+
+            pollStatus();
+        }
 
+        function pollStatus() {
             pollingTimer = setInterval(async () => {
                 try {
                     const response = await fetch(\`\${CONFIG.API_BASE}/status?processId=\${currentProcessId}\`);
-                    const status = await response.json();
-
-                    if (status.status === 'completed') {
-                        clearInterval(pollingTimer);
-                        updateProgress(100, 'Processing complete!');
-                        setTimeout(() => showPreview(status), 1000);
-                    } else if (status.status === 'failed') {
-                        clearInterval(pollingTimer);
-                        throw new Error(status.error || 'Processing failed');
-                    } else {
-                        // Simulate progress
-                        if (step < steps.length) {
-                            const currentStep = steps[step];
-                            updateProgress(currentStep.progress, currentStep.text);
-                            setStepActive(currentStep.stepId);
-                            step++;
-                        }
-                    }
-
+                    handleProgress(await response.json());
                 } catch (error) {
-                    clearInterval(pollingTimer);
+                    stopProgress();
                     showStatus(\`Processing failed: \${error.message}\`, 'error', '❌');
                     showProcessing(false);
                 }
             }, CONFIG.POLL_INTERVAL);
         }
 
+        function stopProgress() {
+            clearInterval(pollingTimer);
+            pollingTimer = null;
+            if (progressStream) {
+                progressStream.close();
+                progressStream = null;
+            }
+        }
+
+        async function handleProgress(progress) {
+            if (progress.status === 'completed') {
+                stopProgress();
+                showStageProgress({ stage: 'preview', stageProgress: 100, progress: 100 }, 'Processing complete!');
+
+                // The stream only carries progress; the stats come from /status
+                const status = progress.wordsRemoved === undefined
+                    ? await fetch(\`\${CONFIG.API_BASE}/status?processId=\${currentProcessId}\`).then(response => response.json())
+                    : progress;
+                setTimeout(() => showPreview(status), 1000);
+            } else if (progress.status === 'failed') {
+                stopProgress();
+                showStatus(\`Processing failed: \${progress.error || 'Processing failed'}\`, 'error', '❌');
+                showProcessing(false);
+            } else if (progress.status === 'review') {
+                // Detection is done; rendering waits for the flagged segments to be reviewed
+                stopProgress();
+                showStageProgress(progress, 'Waiting for review of flagged segments');
+                showStatus('Some detections need review before the clean version is rendered.', 'info', '📝');
+            } else {
+                showStageProgress(progress);
+            }
+        }
+
+        function showStageProgress({ stage, stageProgress, progress }, text) {
+            const current = STAGES[stage] || STAGES.upload;
+            updateProgress(progress, text || \`\${current.text} \${Math.round(stageProgress)}%\`);
+            setStepActive(current.stepId);
+        }
+
         function showPreview(status) {
             showProcessing(false);
 
@@ -1769,7 +4605,7 @@ function getFrontendHTML() {
             document.querySelectorAll('.step').forEach(step => {
                 step.classList.remove('active', 'completed');
             });
-            document.getElementById('stepAnalysis').classList.add('active');
+            document.getElementById('stepUpload').classList.add('active');
         }
 
         function showStatus(message, type, icon) {